@@ -0,0 +1,25 @@
+/**
+ * Change some fields of documents already indexed without sending them again.
+ */
+
+// Use `var solr = require('solr-client')` in your code
+var solr = require('./../lib/solr');
+
+// Create a client
+var client = solr.createClient();
+
+// Switch on "auto commit", by default `client.autoCommit = false`
+client.autoCommit = true;
+
+// Change the price, add a tag and count one more view
+client.atomicUpdate(12345,{
+   price : solr.atomic.set(10),
+   tags : solr.atomic.addDistinct(['sale']),
+   views : solr.atomic.inc(1)
+},function(err,obj){
+   if(err){
+      console.log(err);
+   }else{
+      console.log(obj);
+   }
+});
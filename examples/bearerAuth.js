@@ -0,0 +1,25 @@
+/**
+ * Use a bearer token (e.g.: a JSON Web Token) to communicate with the Solr server.
+ */
+
+// Use `var solr = require('solr-client')` in your code
+var solr = require('./../lib/solr');
+
+var client = solr.createClient();
+
+// The token is fetched once, cached, and fetched again before it expires or when the Solr server answers with a 401.
+client.setAuth(solr.auth.bearer(function(callback){
+   // Get the token from your identity provider
+   callback(null,{ token : 'eyJhbGciOi...', expiresIn : 3600 * 1000 });
+}));
+
+// Use `client.unauth` if you want to remove credentials previously set.
+//client.unauth();
+
+client.search('q=*:*',function(err,obj){
+   if(err){
+   	console.log(err);
+   }else{
+   	console.log(obj);
+   }
+});
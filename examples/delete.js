@@ -7,11 +7,11 @@ var solr = require('./../lib/solr');
 
 var client = solr.createClient();
 
-var field = 'id';
-var query = '*'; // Everything !Dangerous!
+var field = 'title_t';
+var value = 'Test title'; // Escaped and quoted: title_t:"Test title"
 
-// Delete every documents
-client.delete('id','*',function(err,obj){
+// Delete the documents with this exact title
+client.delete(field,value,function(err,obj){
    if(err){
    	console.log(err);
    }else{
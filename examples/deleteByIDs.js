@@ -0,0 +1,19 @@
+/**
+ * Delete the documents with the given `ids`
+ */
+
+// Use `var solr = require('solr-client')` in your code 
+var solr = require('./../lib/solr');
+
+var client = solr.createClient();
+
+var ids = [38738,38739,'sku-42'];
+client.deleteByIDs(ids,function(err,obj){
+   if(err){
+   	console.log(err);
+   }else{
+   	console.log(obj);	
+   }
+});
+
+client.commit();
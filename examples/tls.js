@@ -0,0 +1,25 @@
+/**
+ * Talk to a Solr server over HTTPS, using a private certificate authority and a client certificate.
+ */
+
+// Use `var solr = require('solr-client')` in your code
+var solr = require('./../lib/solr'),
+   fs = require('fs');
+
+var client = solr.createClient({
+   host : 'solr.example.com',
+   port : 8443,
+   secure : true,
+   ca : fs.readFileSync(__dirname + '/ca.pem'),
+   cert : fs.readFileSync(__dirname + '/client-cert.pem'),
+   key : fs.readFileSync(__dirname + '/client-key.pem'),
+   servername : 'solr.example.com'
+});
+
+client.ping(function(err,obj){
+   if(err){
+   	console.log(err);
+   }else{
+   	console.log(obj);
+   }
+});
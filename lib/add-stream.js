@@ -0,0 +1,121 @@
+/**
+ * Load dependencies
+ */
+
+var Duplex = require('stream').Duplex,
+   PassThrough = require('stream').PassThrough,
+   format = require('./utils/format'),
+   version = require('./utils/version'),
+   commit = require('./utils/commit');
+
+/**
+ * Expose `AddStream`
+ */
+
+module.exports = exports = AddStream;
+
+/**
+ * Create a new `AddStream`. The documents written are serialized in a JSON array streamed in the body of a single `update/json` request,
+ * sent through the transport of the client as soon as the stream is created.
+ * The readable side gives the JSON response of the Solr server deserialized once all the documents are sent, or emits `error` with the `SolrError`.
+ * @constructor
+ *
+ * @param {Client} client
+ * @param {Object} [options]
+ * @param {Number} [options.commitWithin] - time in milliseconds within which Solr commits the documents
+ * @param {Boolean} [options.commit=client.autoCommit] - if true, the documents are committed once they are all added
+ * @param {Boolean} [options.softCommit] - if true, the documents are made visible with a soft commit once they are all added
+ * @param {AbortSignal} [options.signal] - signal cancelling the request
+ * @param {Number} [options.connectTimeout] - time in milliseconds allowed to open a connection
+ * @param {Number} [options.responseTimeout] - time in milliseconds allowed to receive the response
+ *
+ * @return {AddStream}
+ * @throws {TypeError} - when `options.commitWithin` or `options.softCommit` is not valid
+ * @api private
+ */
+
+function AddStream(client,options){
+   Duplex.call(this,{ objectMode : true });
+   var self = this;
+   options = client.getOptions(options);
+   var parameters = commit.parameters({
+      autoCommit : options.commit === undefined ? client.autoCommit : !!options.commit,
+      commitWithin : options.commitWithin,
+      softCommit : options.softCommit
+   },false);
+   var path = [options.path,options.core,'update/json?' + parameters + '&wt=json']
+      .filter(function(element){
+         if(element) return true;
+         return false;
+      })
+      .join('/');
+   this.body = new PassThrough();
+   this.first = true;
+   this.error = null;
+   client.transport.request({
+      method : 'POST',
+      type : 'update',
+      path : path,
+      core : options.core,
+      contentType : 'application/json; charset=utf-8',
+      body : this.body,
+      signal : options.signal,
+      connectTimeout : options.connectTimeout,
+      responseTimeout : options.responseTimeout
+   },function(err,data){
+      if(err){
+         // Let the body flow so that a writer waiting for it to drain is not held forever
+         self.error = err;
+         self.body.resume();
+         return self.destroy(err);
+      }
+      self.push(data);
+      self.push(null);
+   });
+}
+
+AddStream.prototype.__proto__ = Duplex.prototype;
+
+/**
+ * Serialize `doc` into the body of the request
+ *
+ * @param {Object} doc
+ * @param {String} encoding - unused, the stream is in object mode
+ * @param {Function} callback - executed once the body can take more data
+ *
+ * @api private
+ */
+
+AddStream.prototype._write = function(doc,encoding,callback){
+   if(this.error) return callback();
+   var json = (this.first ? '[' : ',') + version.stringify(format.dateISOify(doc));
+   this.first = false;
+   if(this.body.write(json)){
+      callback();
+   }else{
+      this.body.once('drain',function(){
+         callback();
+      });
+   }
+}
+
+/**
+ * Close the JSON array and the body of the request
+ *
+ * @param {Function} callback
+ *
+ * @api private
+ */
+
+AddStream.prototype._final = function(callback){
+   this.body.end(this.first ? '[]' : ']');
+   callback();
+}
+
+/**
+ * The response is pushed once the Solr server answers
+ *
+ * @api private
+ */
+
+AddStream.prototype._read = function(){}
@@ -0,0 +1,137 @@
+/**
+ * Atomic updates.
+ *
+ * An atomic update changes some fields of a document already indexed without sending the whole document again.
+ * Each field changed is given an operation `{ modifier : value }`, e.g.: `{ price : { set : 10 }, views : { inc : 1 } }`,
+ * the fields of the document not mentioned are kept by Solr.
+ */
+
+/**
+ * Expose operations
+ */
+
+exports.set = set;
+exports.add = add;
+exports.addDistinct = addDistinct;
+exports.remove = remove;
+exports.removeRegex = removeRegex;
+exports.inc = inc;
+exports.document = document;
+exports.repeatable = repeatable;
+
+/**
+ * Replace the value of the field, `null` removes the field
+ *
+ * @param {*} value
+ *
+ * @return {Object}
+ * @api public
+ */
+
+function set(value){
+   return { set : value };
+}
+
+/**
+ * Add the value(s) to a multi-valued field
+ *
+ * @param {*|Array} value
+ *
+ * @return {Object}
+ * @api public
+ */
+
+function add(value){
+   return { add : value };
+}
+
+/**
+ * Add the value(s) to a multi-valued field, except the ones the field already has
+ *
+ * @param {*|Array} value
+ *
+ * @return {Object}
+ * @api public
+ */
+
+function addDistinct(value){
+   return { 'add-distinct' : value };
+}
+
+/**
+ * Remove all the occurrences of the value(s) from a multi-valued field
+ *
+ * @param {*|Array} value
+ *
+ * @return {Object}
+ * @api public
+ */
+
+function remove(value){
+   return { remove : value };
+}
+
+/**
+ * Remove the values matching the regular expression(s) from a multi-valued field
+ *
+ * @param {String|RegExp|Array} pattern - `RegExp` objects are given by their source
+ *
+ * @return {Object}
+ * @api public
+ */
+
+function removeRegex(pattern){
+   var source = function(pattern){
+      return pattern instanceof RegExp ? pattern.source : pattern;
+   };
+   return { removeregex : Array.isArray(pattern) ? pattern.map(source) : source(pattern) };
+}
+
+/**
+ * Increment a numeric field, a negative number decrements it
+ *
+ * @param {Number} [value=1]
+ *
+ * @return {Object}
+ * @api public
+ */
+
+function inc(value){
+   return { inc : value === undefined ? 1 : value };
+}
+
+/**
+ * Build the document sent to Solr for the atomic update of the document `id`
+ *
+ * @param {String|Number} id - value of the unique key of the document
+ * @param {Object} operations - operation of each field changed, e.g.: `{ price : { set : 10 } }`
+ * @param {String} [uniqueKey='id'] - field holding the id of the documents
+ *
+ * @return {Object}
+ * @api private
+ */
+
+function document(id,operations,uniqueKey){
+   var doc = {};
+   doc[uniqueKey || 'id'] = id;
+   Object.keys(operations).forEach(function(field){
+      doc[field] = operations[field];
+   });
+   return doc;
+}
+
+/**
+ * Tell whether the operations leave the document as it is when they are applied again, which is not the case of `inc` and `add`
+ *
+ * @param {Object} operations - operation of each field changed, e.g.: `{ views : { inc : 1 } }`
+ *
+ * @return {Boolean}
+ * @api private
+ */
+
+function repeatable(operations){
+   return Object.keys(operations || {}).every(function(field){
+      var operation = operations[field];
+      return !operation || typeof operation !== 'object' || !(operation.hasOwnProperty('inc') || operation.hasOwnProperty('add'));
+   });
+}
@@ -0,0 +1,139 @@
+/**
+ * Authentication providers.
+ *
+ * A provider is a function `function(context,callback)` giving the headers to add to a request,
+ * either through `callback(err,headers)` or by returning them (or a `Promise` of them).
+ * `context` describes the request: `{ host : String, method : String, path : String, refresh : Boolean }`.
+ * `context.refresh` is true when the request is sent again because the Solr server answered with the status code 401.
+ */
+
+/**
+ * Load dependencies
+ */
+
+var callbackUtil = require('./utils/callback');
+
+/**
+ * Expose providers
+ */
+
+exports.basic = basic;
+exports.bearer = bearer;
+exports.header = header;
+
+/**
+ * Create a provider using the basic access authentication method
+ *
+ * @param {String} username
+ * @param {String} password
+ *
+ * @return {Function}
+ * @api public
+ */
+
+function basic(username,password){
+   var value = 'Basic ' + Buffer.from(username + ':' + password).toString('base64');
+   return function(){
+      return { authorization : value };
+   };
+}
+
+/**
+ * Create a provider sending a bearer token, e.g.: a JSON Web Token.
+ * When `token` is a function, the token is fetched with it, cached, and fetched again before it expires or after a 401.
+ * The expiry of a token is taken from the result of `token()`, or from the `exp` claim of a JSON Web Token.
+ *
+ * @param {String|Function} token - the token or a function fetching it `function(callback)`, the result is a token or `{ token : String, expiresAt : Date|Number, expiresIn : Number }`
+ * @param {Object} [options]
+ * @param {Number} [options.refreshBefore=30000] - time in milliseconds before the expiry when the token is fetched again
+ *
+ * @return {Function}
+ * @api public
+ *
+ * @example
+ * client.setAuth(solr.auth.bearer(function(callback){
+ *    identityProvider.getToken(callback);
+ * }));
+ */
+
+function bearer(token,options){
+   options = options || {};
+   if(typeof token !== 'function'){
+      return header('authorization','Bearer ' + token);
+   }
+   var refreshBefore = options.refreshBefore !== undefined ? options.refreshBefore : 30000;
+   var current = null;
+   var expiresAt = 0;
+   var waiting = null;
+   return function(context,callback){
+      if(current && !context.refresh && Date.now() < expiresAt - refreshBefore){
+         return callback(null,{ authorization : 'Bearer ' + current });
+      }
+      if(waiting) return waiting.push(callback);
+      waiting = [callback];
+      callbackUtil.invoke(token,[],function(err,result){
+         var callbacks = waiting;
+         waiting = null;
+         if(!err){
+            if(typeof result === 'string') result = { token : result };
+            current = result.token;
+            expiresAt = expiry(result);
+         }
+         callbacks.forEach(function(callback){
+            if(err) return callback(err);
+            callback(null,{ authorization : 'Bearer ' + current });
+         });
+      });
+   };
+}
+
+/**
+ * Create a provider sending a custom header
+ *
+ * @param {String} name - name of the header
+ * @param {String|Function} value - value of the header or a function giving it `function(context,callback)`
+ *
+ * @return {Function}
+ * @api public
+ *
+ * @example
+ * client.setAuth(solr.auth.header('X-Api-Key','secret'));
+ */
+
+function header(name,value){
+   return function(context,callback){
+      if(typeof value !== 'function') return headers(value);
+      callbackUtil.invoke(value,[context],function(err,value){
+         if(err) return callback(err);
+         callback(null,headers(value));
+      });
+   };
+   function headers(value){
+      var headers = {};
+      headers[name] = value;
+      return headers;
+   }
+}
+
+/**
+ * Give the expiry in milliseconds of a token
+ *
+ * @param {Object} result - `{ token : String, expiresAt : Date|Number, expiresIn : Number }`
+ *
+ * @return {Number}
+ * @api private
+ */
+
+function expiry(result){
+   if(result.expiresAt) return +result.expiresAt;
+   if(result.expiresIn) return Date.now() + result.expiresIn;
+   var parts = String(result.token).split('.');
+   if(parts.length === 3){
+      try{
+         var claims = JSON.parse(Buffer.from(parts[1].replace(/-/g,'+').replace(/_/g,'/'),'base64').toString('utf8'));
+         if(claims.exp) return claims.exp * 1000;
+      }catch(e){
+      }
+   }
+   return Infinity;
+}
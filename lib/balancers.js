@@ -0,0 +1,157 @@
+/**
+ * Load-balancing strategies used by the `HostPool` to pick a host.
+ *
+ * Each strategy is a factory returning a picker `function(hosts)`. `hosts` is the list of candidates,
+ * in the order they were given to the client, each of them described by `{ host : String, weight : Number, local : Boolean, outstanding : Number }`.
+ * The picker returns one of the candidates or its `host`.
+ */
+
+/**
+ * Expose strategies
+ */
+
+exports.random = random;
+exports.roundRobin = roundRobin;
+exports.leastOutstanding = leastOutstanding;
+exports.weighted = weighted;
+exports.preferLocal = preferLocal;
+exports.primary = primary;
+exports.create = create;
+
+/**
+ * Pick a host at random
+ *
+ * @return {Function}
+ * @api public
+ */
+
+function random(){
+   return function(hosts){
+      return pickRandom(hosts);
+   };
+}
+
+/**
+ * Pick each host in turn
+ *
+ * @return {Function}
+ * @api public
+ */
+
+function roundRobin(){
+   var next = 0;
+   return function(hosts){
+      var host = hosts[next % hosts.length];
+      next = (next + 1) % hosts.length;
+      return host;
+   };
+}
+
+/**
+ * Pick the host with the fewest requests in flight
+ *
+ * @return {Function}
+ * @api public
+ */
+
+function leastOutstanding(){
+   return function(hosts){
+      var min = Math.min.apply(Math,hosts.map(function(host){
+         return host.outstanding;
+      }));
+      return pickRandom(hosts.filter(function(host){
+         return host.outstanding === min;
+      }));
+   };
+}
+
+/**
+ * Pick a host at random, in proportion to its `weight`
+ *
+ * @return {Function}
+ * @api public
+ *
+ * @example
+ * solr.createClient({ hosts : [{ host : 'a:8983', weight : 3 },{ host : 'b:8983', weight : 1 }], balancer : 'weighted' });
+ */
+
+function weighted(){
+   return function(hosts){
+      var total = hosts.reduce(function(sum,host){
+         return sum + host.weight;
+      },0);
+      var rnd = Math.random() * total;
+      for(var i = 0; i < hosts.length; i++){
+         rnd -= hosts[i].weight;
+         if(rnd < 0) return hosts[i];
+      }
+      return hosts[hosts.length - 1];
+   };
+}
+
+/**
+ * Pick one of the hosts flagged as `local` at random, any host if none of them is available
+ *
+ * @return {Function}
+ * @api public
+ *
+ * @example
+ * solr.createClient({ hosts : [{ host : 'a:8983', local : true },'b:8983'], balancer : 'preferLocal' });
+ */
+
+function preferLocal(){
+   return function(hosts){
+      var local = hosts.filter(function(host){
+         return host.local;
+      });
+      return pickRandom(local.length ? local : hosts);
+   };
+}
+
+/**
+ * Pick the first host available, in the order they were given to the client
+ *
+ * @return {Function}
+ * @api public
+ */
+
+function primary(){
+   return function(hosts){
+      return hosts[0];
+   };
+}
+
+/**
+ * Create a picker from the name of a strategy or a custom picker function
+ *
+ * @param {String|Function} [strategy='random']
+ *
+ * @return {Function}
+ * @api private
+ */
+
+function create(strategy){
+   if(typeof strategy === 'function') return strategy;
+   strategy = strategy || 'random';
+   if(!exports.hasOwnProperty(strategy) || strategy === 'create'){
+      throw new Error('Unknown load-balancing strategy: ' + strategy);
+   }
+   return exports[strategy]();
+}
+
+/**
+ * Pick an item of `list` at random
+ *
+ * @param {Array} list
+ *
+ * @return {*}
+ * @api private
+ */
+
+function pickRandom(list){
+   var len = list.length,
+       rnd = Math.floor(Math.random() * len);
+   if (rnd >= len)
+     rnd = len - 1;
+   return list[rnd];
+}
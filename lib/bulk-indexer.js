@@ -0,0 +1,206 @@
+/**
+ * Load dependencies
+ */
+
+var Writable = require('stream').Writable;
+
+/**
+ * Expose `BulkIndexer`
+ */
+
+module.exports = exports = BulkIndexer;
+
+/**
+ * Create a new `BulkIndexer`. It is a writable stream of documents, cut into batches added with `Client#add()`.
+ * A batch is sent once it holds `options.batchSize` documents or `options.maxBytes` bytes of JSON, or when `options.flushInterval` is elapsed.
+ * When `options.concurrency` batches are in flight, the writer is held until one of them is done, i.e. `write()` returns false and `pipe()` pauses the source.
+ * A batch failing does not end the stream, its documents are reported in the summary.
+ * @constructor
+ *
+ * @param {Client} client
+ * @param {Object} [options] - options of `Client#add()` given to each batch, e.g.: `tolerant`
+ * @param {Number} [options.batchSize=500] - maximum number of documents in a batch
+ * @param {Number} [options.maxBytes=5242880] - maximum size in bytes of the JSON documents of a batch, a document bigger than that is sent alone
+ * @param {Number} [options.concurrency=2] - maximum number of batches in flight
+ * @param {Number} [options.flushInterval] - time in milliseconds after which an incomplete batch is sent, never by default
+ * @param {Number} [options.commitWithin] - time in milliseconds within which Solr commits the documents of each batch
+ * @param {String} [options.uniqueKey='id'] - field holding the id of the documents
+ *
+ * @event progress - a batch is done, `function(batch,stats)`, `batch` is `{ docs : Number, bytes : Number, duration : Number, indexed : Number, failed : Number, error : Error }`
+ * @event summary - all the documents written are done, `function(stats)`, emitted before `finish`. `stats` is `{ docs : Number, indexed : Number, failed : Number, batches : Number, bytes : Number, failures : Array, duration : Number, batchDuration : Number }`,
+ * `failures` holds `{ id : *, doc : Object, error : Error }` for each document not added, `duration` is the time elapsed since the first document was written, `batchDuration` the time spent by all the batches
+ *
+ * @return {BulkIndexer}
+ * @api private
+ */
+
+function BulkIndexer(client,options){
+   options = options || {};
+   Writable.call(this,{ objectMode : true, highWaterMark : options.highWaterMark });
+   this.client = client;
+   this.batchSize = options.batchSize || 500;
+   this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+   this.concurrency = options.concurrency || 2;
+   this.flushInterval = options.flushInterval;
+   this.uniqueKey = options.uniqueKey || 'id';
+   this.addOptions = {};
+   var self = this;
+   Object.keys(options).forEach(function(name){
+      self.addOptions[name] = options[name];
+   });
+   this.batch = [];
+   this.batchBytes = 0;
+   this.pending = [];
+   this.inFlight = 0;
+   this.timer = null;
+   this.waiting = null;
+   this.ending = null;
+   this.startedAt = null;
+   this.stats = {
+      docs : 0,
+      indexed : 0,
+      failed : 0,
+      batches : 0,
+      bytes : 0,
+      failures : [],
+      duration : 0,
+      batchDuration : 0
+   };
+}
+
+BulkIndexer.prototype.__proto__ = Writable.prototype;
+
+/**
+ * Add `doc` to the current batch
+ *
+ * @param {Object} doc
+ * @param {String} encoding - unused, the stream is in object mode
+ * @param {Function} callback - executed once the writer can go on
+ *
+ * @api private
+ */
+
+BulkIndexer.prototype._write = function(doc,encoding,callback){
+   var self = this;
+   if(this.startedAt === null) this.startedAt = Date.now();
+   var bytes = Buffer.byteLength(JSON.stringify(doc));
+   if(this.batch.length && this.batchBytes + bytes > this.maxBytes) this.cut();
+   this.batch.push(doc);
+   this.batchBytes += bytes;
+   this.stats.docs++;
+   if(this.batch.length >= this.batchSize || this.batchBytes >= this.maxBytes){
+      this.cut();
+   }else if(this.flushInterval && !this.timer){
+      this.timer = setTimeout(function(){
+         self.timer = null;
+         self.cut();
+         self.drain();
+      },this.flushInterval);
+   }
+   this.drain(callback);
+}
+
+/**
+ * Send the last batch and wait for all the batches in flight
+ *
+ * @param {Function} callback - executed once all the batches are done
+ *
+ * @api private
+ */
+
+BulkIndexer.prototype._final = function(callback){
+   this.ending = callback;
+   this.cut();
+   this.drain();
+}
+
+/**
+ * Close the current batch, it is sent as soon as fewer than `concurrency` batches are in flight
+ *
+ * @api private
+ */
+
+BulkIndexer.prototype.cut = function(){
+   if(this.timer){
+      clearTimeout(this.timer);
+      this.timer = null;
+   }
+   if(!this.batch.length) return;
+   this.pending.push({ docs : this.batch, bytes : this.batchBytes });
+   this.batch = [];
+   this.batchBytes = 0;
+}
+
+/**
+ * Send the pending batches allowed by `concurrency`.
+ * `callback` is executed right away when no batch is left waiting, otherwise once a batch in flight is done.
+ *
+ * @param {Function} [callback]
+ *
+ * @api private
+ */
+
+BulkIndexer.prototype.drain = function(callback){
+   while(this.pending.length && this.inFlight < this.concurrency){
+      this.send(this.pending.shift());
+   }
+   if(callback){
+      if(this.pending.length){
+         this.waiting = callback;
+      }else{
+         callback();
+      }
+   }
+   if(this.ending && !this.pending.length && !this.inFlight){
+      var ending = this.ending;
+      this.ending = null;
+      this.stats.duration = this.startedAt === null ? 0 : Date.now() - this.startedAt;
+      this.emit('summary',this.stats);
+      ending();
+   }
+}
+
+/**
+ * Add the documents of `batch` with `Client#add()`
+ *
+ * @param {Object} batch - `{ docs : Array, bytes : Number }`
+ *
+ * @api private
+ */
+
+BulkIndexer.prototype.send = function(batch){
+   var self = this;
+   var stats = this.stats;
+   var start = Date.now();
+   this.inFlight++;
+   this.client.add(batch.docs,this.addOptions,function(err,res){
+      var duration = Date.now() - start;
+      var failures = [];
+      if(err){
+         failures = batch.docs.map(function(doc){
+            return { id : doc[self.uniqueKey], doc : doc, error : err };
+         });
+      }else if(self.addOptions.tolerant){
+         failures = res.failed;
+      }
+      var progress = {
+         docs : batch.docs.length,
+         bytes : batch.bytes,
+         duration : duration,
+         indexed : batch.docs.length - failures.length,
+         failed : failures.length,
+         error : err || null
+      };
+      self.inFlight--;
+      stats.batches++;
+      stats.bytes += batch.bytes;
+      stats.indexed += progress.indexed;
+      stats.failed += progress.failed;
+      stats.failures = stats.failures.concat(failures);
+      stats.batchDuration += duration;
+      self.emit('progress',progress,stats);
+      var waiting = self.waiting;
+      self.waiting = null;
+      self.drain(waiting);
+   });
+}
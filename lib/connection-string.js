@@ -0,0 +1,196 @@
+/**
+ * Load dependencies
+ */
+
+var fs = require('fs'),
+   querystring = require('querystring'),
+   auth = require('./auth');
+
+/**
+ * Expose `parse()` and `fromEnv()`
+ */
+
+exports.parse = parse;
+exports.fromEnv = fromEnv;
+
+/**
+ * Schemes of a connection string and the protocol they use
+ */
+
+var SCHEMES = {
+   'solr' : 'http',
+   'solr+http' : 'http',
+   'solr+https' : 'https',
+   'http' : 'http',
+   'https' : 'https'
+};
+
+/**
+ * Options of the `Client` accepted in the query string of a connection string, and how to read them
+ */
+
+var PARAMETERS = {
+   core : String,
+   path : String,
+   timeout : toNumber,
+   connectTimeout : toNumber,
+   responseTimeout : toNumber,
+   keepAlive : toBoolean,
+   maxSockets : toNumber,
+   healthCheckInterval : toNumber,
+   healthCheckTimeout : toNumber,
+   balancer : String,
+   retry : toBoolean,
+   rejectUnauthorized : toBoolean,
+   servername : String,
+   proxy : String,
+   decompress : toBoolean,
+   compressRequests : toBoolean,
+   compressThreshold : toNumber,
+   streamParse : toBoolean,
+   ca : readFile,
+   cert : readFile,
+   key : readFile
+};
+
+/**
+ * Parse a connection string into a set of options of the `Client`.
+ * The last segment of the path is the core when the path has more than one segment.
+ *
+ * @param {String} str - e.g.: `solr+https://user:pass@h1:8983,h2:8983/solr/products?timeout=5000`
+ *
+ * @return {Object}
+ * @api public
+ *
+ * @example
+ * parse('solr://localhost:8983/solr/products');
+ * // { hosts : ['localhost:8983'], protocol : 'http', path : '/solr', core : 'products' }
+ */
+
+function parse(str){
+   var match = /^([a-z][a-z0-9+.\-]*):\/\/(?:([^@\/?#]*)@)?([^\/?#]*)([^?#]*)(?:\?([^#]*))?$/i.exec(String(str).trim());
+   if(!match) throw invalid(str,'expected scheme://[user:password@]host[:port][,host[:port]...][/path][?options]');
+   var scheme = match[1].toLowerCase();
+   if(!SCHEMES.hasOwnProperty(scheme)) throw invalid(str,'unknown scheme "' + scheme + '"');
+   var options = { protocol : SCHEMES[scheme] };
+
+   if(!match[3]) throw invalid(str,'no host');
+   options.hosts = match[3].split(',').map(function(host){
+      var parts = /^([^:\s]+)(?::(\d*))?$/.exec(host);
+      if(!parts) throw invalid(str,'invalid host "' + host + '"');
+      var port = parts[2] === undefined ? 8983 : Number(parts[2]);
+      if(parts[2] === '' || port < 1 || port > 65535) throw invalid(str,'invalid port in "' + host + '"');
+      return parts[1] + ':' + port;
+   });
+
+   if(match[2] !== undefined){
+      var credentials = match[2].split(':');
+      if(credentials.length !== 2 || !credentials[0]) throw invalid(str,'credentials must be user:password');
+      options.auth = auth.basic(decodeURIComponent(credentials[0]),decodeURIComponent(credentials[1]));
+   }
+
+   var segments = match[4].split('/').filter(function(segment){
+      return segment;
+   });
+   if(segments.length > 1) options.core = decodeURIComponent(segments.pop());
+   if(segments.length) options.path = '/' + segments.join('/');
+
+   var parameters = querystring.parse(match[5] || '');
+   Object.keys(parameters).forEach(function(name){
+      if(!PARAMETERS.hasOwnProperty(name)) throw invalid(str,'unknown option "' + name + '"');
+      var value = parameters[name];
+      if(Array.isArray(value)) throw invalid(str,'option "' + name + '" given more than once');
+      value = PARAMETERS[name](value);
+      if(value !== value) throw invalid(str,'option "' + name + '" must be a number');
+      if(value === null) throw invalid(str,'option "' + name + '" must be true or false');
+      options[name] = value;
+   });
+   return options;
+}
+
+/**
+ * Read the options of the `Client` from environment variables:
+ * `SOLR_URL` (a connection string, see `parse()`), or `SOLR_HOST`, `SOLR_PORT`, `SOLR_CORE`, `SOLR_PATH`,
+ * and `SOLR_USERNAME` with `SOLR_PASSWORD`, which override the credentials of `SOLR_URL`.
+ * `SOLR_CORE` also overrides the core of `SOLR_URL`.
+ *
+ * @param {Object} [env=process.env]
+ *
+ * @return {Object}
+ * @api public
+ */
+
+function fromEnv(env){
+   env = env || process.env;
+   var options;
+   if(env.SOLR_URL){
+      options = parse(env.SOLR_URL);
+   }else{
+      options = { host : env.SOLR_HOST, path : env.SOLR_PATH };
+      if(env.SOLR_PORT){
+         if(!/^\d+$/.test(env.SOLR_PORT)) throw new Error('Invalid SOLR_PORT: "' + env.SOLR_PORT + '" is not a number');
+         options.port = Number(env.SOLR_PORT);
+      }
+   }
+   if(env.SOLR_CORE) options.core = env.SOLR_CORE;
+   if(env.SOLR_USERNAME){
+      options.auth = auth.basic(env.SOLR_USERNAME,env.SOLR_PASSWORD || '');
+   }
+   return options;
+}
+
+/**
+ * Create the error thrown for a malformed connection string, the password is masked
+ *
+ * @param {String} str - connection string
+ * @param {String} reason
+ *
+ * @return {Error}
+ * @api private
+ */
+
+function invalid(str,reason){
+   var masked = String(str).replace(/\/\/([^:@\/]*):[^@\/]*@/,'//$1:***@');
+   return new Error('Invalid Solr connection string "' + masked + '": ' + reason);
+}
+
+/**
+ * Read a number, `NaN` if `value` is not one
+ *
+ * @param {String} value
+ *
+ * @return {Number}
+ * @api private
+ */
+
+function toNumber(value){
+   return /^\d+$/.test(value) ? Number(value) : NaN;
+}
+
+/**
+ * Read a boolean, `null` if `value` is not one
+ *
+ * @param {String} value
+ *
+ * @return {Boolean}
+ * @api private
+ */
+
+function toBoolean(value){
+   if(value === 'true' || value === '1') return true;
+   if(value === 'false' || value === '0') return false;
+   return null;
+}
+
+/**
+ * Read the file at `path`, used for certificates and keys
+ *
+ * @param {String} path
+ *
+ * @return {Buffer}
+ * @api private
+ */
+
+function readFile(path){
+   return fs.readFileSync(path);
+}
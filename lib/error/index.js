@@ -0,0 +1,47 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error'),
+   SolrBadRequestError = require('./solr-bad-request-error'),
+   SolrUnauthorizedError = require('./solr-unauthorized-error'),
+   SolrNotFoundError = require('./solr-not-found-error'),
+   SolrVersionConflictError = require('./solr-version-conflict-error'),
+   SolrServerError = require('./solr-server-error'),
+   SolrTimeoutError = require('./solr-timeout-error'),
+   SolrConnectionError = require('./solr-connection-error');
+
+/**
+ * Expose error classes and `fromResponse()`
+ */
+
+exports.SolrError = SolrError;
+exports.SolrBadRequestError = SolrBadRequestError;
+exports.SolrUnauthorizedError = SolrUnauthorizedError;
+exports.SolrNotFoundError = SolrNotFoundError;
+exports.SolrVersionConflictError = SolrVersionConflictError;
+exports.SolrServerError = SolrServerError;
+exports.SolrTimeoutError = SolrTimeoutError;
+exports.SolrConnectionError = SolrConnectionError;
+exports.fromResponse = fromResponse;
+
+/**
+ * Create the error matching the status code of a response of Solr
+ *
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {String|Object} [body] - body of the response, deserialized if it is JSON
+ * @param {Object} [info] - `{ host : String, path : String }` of the request
+ *
+ * @return {SolrError}
+ * @api private
+ */
+
+function fromResponse(statusCode,body,info){
+   var ErrorClass = SolrError;
+   if(statusCode === 400) ErrorClass = SolrBadRequestError;
+   else if(statusCode === 401 || statusCode === 403) ErrorClass = SolrUnauthorizedError;
+   else if(statusCode === 404) ErrorClass = SolrNotFoundError;
+   else if(statusCode === 409) ErrorClass = SolrVersionConflictError;
+   else if(statusCode >= 500) ErrorClass = SolrServerError;
+   return new ErrorClass(statusCode,body,info);
+}
@@ -0,0 +1,31 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error');
+
+/**
+ * Expose `SolrBadRequestError`
+ */
+
+module.exports = SolrBadRequestError;
+
+/**
+ * Create a new `SolrBadRequestError`, given when Solr answers with the status code 400, e.g.: an unknown field or a syntax error in the query
+ * @constructor
+ *
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {String|Object} [body] - body of the response, deserialized if it is JSON
+ * @param {Object} [info] - `{ host : String, path : String }` of the request
+ *
+ * @return {SolrBadRequestError}
+ * @api private
+ */
+
+function SolrBadRequestError(statusCode,body,info){
+   SolrError.call(this,statusCode,body,info);
+   Error.captureStackTrace(this,arguments.callee);
+   this.name = 'SolrBadRequestError';
+}
+
+SolrBadRequestError.prototype.__proto__ = SolrError.prototype;
@@ -0,0 +1,42 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error');
+
+/**
+ * Expose `SolrConnectionError`
+ */
+
+module.exports = SolrConnectionError;
+
+/**
+ * Create a new `SolrConnectionError`, given when the Solr server can not be reached or the connection is lost (e.g.: `ECONNREFUSED`, `ECONNRESET`).
+ * The `code` of the socket error is kept, the socket error itself is given by `cause`.
+ * @constructor
+ *
+ * @param {Error} cause - socket error
+ * @param {String} host - `host:port` of the Solr server
+ * @param {String} [path] - path of the request
+ *
+ * @return {SolrConnectionError}
+ * @api private
+ */
+
+function SolrConnectionError(cause,host,path){
+   Error.call(this);
+   Error.captureStackTrace(this,arguments.callee);
+   this.name = 'SolrConnectionError';
+   this.code = cause.code;
+   this.cause = cause;
+   this.statusCode = null;
+   this.host = host;
+   this.path = path || null;
+   this.solrCode = null;
+   this.msg = null;
+   this.trace = null;
+   this.metadata = null;
+   this.message = 'Connection to ' + host + ' failed: ' + cause.message;
+}
+
+SolrConnectionError.prototype.__proto__ = SolrError.prototype;
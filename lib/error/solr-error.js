@@ -5,19 +5,41 @@
 module.exports = SolrError;
 
 /**
- * Create a new `SolrError`
+ * Create a new `SolrError`.
+ * The `error` object of a JSON response of Solr (`{ msg : String, trace : String, code : Number, metadata : Array }`) is read into
+ * `msg`, `trace`, `solrCode` and `metadata`. With an HTML response, `msg` is the content of the `<pre>` tag.
  * @constructor
  * 
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {String|Object} [htmlMessage] - body of the response, deserialized if it is JSON
+ * @param {Object} [info] - `{ host : String, path : String }` of the request
+ *
  * @return {SolrError}
  * @api private
  */
  
-function SolrError(statusCode,htmlMessage){
+function SolrError(statusCode,htmlMessage,info){
    Error.call(this);
    Error.captureStackTrace(this,arguments.callee);
+   info = info || {};
    this.name = 'SolrError';
+   this.statusCode = statusCode;
+   this.host = info.host || null;
+   this.path = info.path || null;
+   this.solrCode = null;
+   this.msg = null;
+   this.trace = null;
+   this.metadata = null;
    var errorReason = '';
-   if (typeof htmlMessage === 'object') {
+   if (htmlMessage && typeof htmlMessage === 'object') {
+     var error = htmlMessage.error;
+     if (error && typeof error === 'object') {
+       this.solrCode = error.code !== undefined ? error.code : null;
+       this.msg = error.msg !== undefined ? error.msg : null;
+       this.trace = error.trace !== undefined ? error.trace : null;
+       this.metadata = parseMetadata(error.metadata);
+       errorReason = this.msg || '';
+     }
      this.json = {
        message: 'HTTP status ' + statusCode,
        details: htmlMessage
@@ -25,6 +47,7 @@ function SolrError(statusCode,htmlMessage){
    } else if (htmlMessage){
      var matches = htmlMessage.match(/<pre>([\s\S]+)<\/pre>/);
      errorReason = decode((matches || ['', htmlMessage])[1].trim());
+     this.msg = errorReason;
      this.json = {
        message: 'HTTP status ' + statusCode,
        details: errorReason
@@ -35,6 +58,25 @@ function SolrError(statusCode,htmlMessage){
 
 SolrError.prototype.__proto__ = Error.prototype;
 
+/**
+ * Turn the metadata of a Solr error, a list of keys and values, into an object
+ *
+ * @param {Array|Object} [metadata] - e.g.: `['error-class','org.apache.solr.common.SolrException']`
+ *
+ * @return {Object|null}
+ * @api private
+ */
+
+function parseMetadata(metadata){
+  if (!metadata) return null;
+  if (!Array.isArray(metadata)) return metadata;
+  var parsed = {};
+  for (var i = 0; i + 1 < metadata.length; i += 2) {
+    parsed[metadata[i]] = metadata[i + 1];
+  }
+  return parsed;
+}
+
 /**
  * Decode few HTML entities: &<>'"
  *
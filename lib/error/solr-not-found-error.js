@@ -0,0 +1,31 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error');
+
+/**
+ * Expose `SolrNotFoundError`
+ */
+
+module.exports = SolrNotFoundError;
+
+/**
+ * Create a new `SolrNotFoundError`, given when Solr answers with the status code 404, e.g.: an unknown core or request handler
+ * @constructor
+ *
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {String|Object} [body] - body of the response, deserialized if it is JSON
+ * @param {Object} [info] - `{ host : String, path : String }` of the request
+ *
+ * @return {SolrNotFoundError}
+ * @api private
+ */
+
+function SolrNotFoundError(statusCode,body,info){
+   SolrError.call(this,statusCode,body,info);
+   Error.captureStackTrace(this,arguments.callee);
+   this.name = 'SolrNotFoundError';
+}
+
+SolrNotFoundError.prototype.__proto__ = SolrError.prototype;
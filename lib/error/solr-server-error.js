@@ -0,0 +1,31 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error');
+
+/**
+ * Expose `SolrServerError`
+ */
+
+module.exports = SolrServerError;
+
+/**
+ * Create a new `SolrServerError`, given when Solr answers with a status code of 500 or more
+ * @constructor
+ *
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {String|Object} [body] - body of the response, deserialized if it is JSON
+ * @param {Object} [info] - `{ host : String, path : String }` of the request
+ *
+ * @return {SolrServerError}
+ * @api private
+ */
+
+function SolrServerError(statusCode,body,info){
+   SolrError.call(this,statusCode,body,info);
+   Error.captureStackTrace(this,arguments.callee);
+   this.name = 'SolrServerError';
+}
+
+SolrServerError.prototype.__proto__ = SolrError.prototype;
@@ -0,0 +1,43 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error');
+
+/**
+ * Expose `SolrTimeoutError`
+ */
+
+module.exports = SolrTimeoutError;
+
+/**
+ * Create a new `SolrTimeoutError`
+ * @constructor
+ *
+ * @param {String} phase - `connect` if the connection took too long to open, `response` if the response took too long to come
+ * @param {Number} timeout - time in milliseconds that elapsed
+ * @param {String} host - `host:port` of the Solr server
+ * @param {String} [path] - path of the request
+ *
+ * @return {SolrTimeoutError}
+ * @api private
+ */
+
+function SolrTimeoutError(phase,timeout,host,path){
+   Error.call(this);
+   Error.captureStackTrace(this,arguments.callee);
+   this.name = 'SolrTimeoutError';
+   this.code = 'ETIMEDOUT';
+   this.phase = phase;
+   this.timeout = timeout;
+   this.statusCode = null;
+   this.host = host;
+   this.path = path || null;
+   this.solrCode = null;
+   this.msg = null;
+   this.trace = null;
+   this.metadata = null;
+   this.message = (phase === 'connect' ? 'Connection to ' : 'Response from ') + host + ' timed out after ' + timeout + 'ms';
+}
+
+SolrTimeoutError.prototype.__proto__ = SolrError.prototype;
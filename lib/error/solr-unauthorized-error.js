@@ -0,0 +1,31 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error');
+
+/**
+ * Expose `SolrUnauthorizedError`
+ */
+
+module.exports = SolrUnauthorizedError;
+
+/**
+ * Create a new `SolrUnauthorizedError`, given when Solr answers with the status code 401 or 403, the credentials are missing, wrong or not allowed
+ * @constructor
+ *
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {String|Object} [body] - body of the response, deserialized if it is JSON
+ * @param {Object} [info] - `{ host : String, path : String }` of the request
+ *
+ * @return {SolrUnauthorizedError}
+ * @api private
+ */
+
+function SolrUnauthorizedError(statusCode,body,info){
+   SolrError.call(this,statusCode,body,info);
+   Error.captureStackTrace(this,arguments.callee);
+   this.name = 'SolrUnauthorizedError';
+}
+
+SolrUnauthorizedError.prototype.__proto__ = SolrError.prototype;
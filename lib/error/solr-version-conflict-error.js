@@ -0,0 +1,36 @@
+/**
+ * Load dependencies
+ */
+
+var SolrError = require('./solr-error');
+
+/**
+ * Expose `SolrVersionConflictError`
+ */
+
+module.exports = SolrVersionConflictError;
+
+/**
+ * Create a new `SolrVersionConflictError`, given when Solr answers with the status code 409 because the `_version_` expected for a document does not match the one indexed.
+ * `id`, `expectedVersion` and `actualVersion` are read from the message of Solr (`version conflict for <id> expected=<version> actual=<version>`), the versions are strings since they do not fit in a `Number`.
+ * @constructor
+ *
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {String|Object} [body] - body of the response, deserialized if it is JSON
+ * @param {Object} [info] - `{ host : String, path : String }` of the request
+ *
+ * @return {SolrVersionConflictError}
+ * @api private
+ */
+
+function SolrVersionConflictError(statusCode,body,info){
+   SolrError.call(this,statusCode,body,info);
+   Error.captureStackTrace(this,arguments.callee);
+   this.name = 'SolrVersionConflictError';
+   var matches = (this.msg || '').match(/version conflict for (.+?) expected=(-?\d+) actual=(-?\d+)/);
+   this.id = matches ? matches[1] : null;
+   this.expectedVersion = matches ? matches[2] : null;
+   this.actualVersion = matches ? matches[3] : null;
+}
+
+SolrVersionConflictError.prototype.__proto__ = SolrError.prototype;
@@ -0,0 +1,298 @@
+/**
+ * Query expressions.
+ *
+ * An expression is built from clauses whose values are escaped, combined with `and()`, `or()` and `not()`, and compiled into the Lucene query syntax by `toString()`,
+ * e.g.: `Q.and(Q.term('title','foo bar').boost(2),Q.not(Q.range('price',0,10)))` gives `(title:"foo bar"^2 AND NOT price:[0 TO 10])`.
+ * Expressions are accepted by `query.q()`, `query.fq()`, `query.bq()` and `client.deleteByQuery()`.
+ */
+
+/**
+ * Load dependencies
+ */
+
+var lucene = require('./utils/lucene');
+
+/**
+ * Expose `Expression` and the functions building expressions
+ */
+
+exports.Expression = Expression;
+exports.term = term;
+exports.phrase = phrase;
+exports.range = range;
+exports.prefix = prefix;
+exports.wildcard = wildcard;
+exports.fuzzy = fuzzy;
+exports.raw = raw;
+exports.all = all;
+exports.and = and;
+exports.or = or;
+exports.not = not;
+
+/**
+ * Create a new `Expression`
+ * @constructor
+ *
+ * @param {String} operator - `clause`, `AND`, `OR` or `NOT`
+ * @param {String|Array} value - the Lucene syntax of a clause, or the expressions combined by the operator
+ *
+ * @return {Expression}
+ * @api private
+ */
+
+function Expression(operator,value){
+   this.operator = operator;
+   this.value = value;
+   this.weight = null;
+}
+
+/**
+ * Boost the score of the documents matching the expression
+ *
+ * @param {Number} weight
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+Expression.prototype.boost = function(weight){
+   var self = this;
+   this.weight = weight;
+   return self;
+}
+
+/**
+ * Compile the expression into the Lucene query syntax.
+ * A negation alone, or a group of negations, matches all the documents except the ones negated, i.e. `(*:* NOT x)`, since a group of negative clauses matches nothing in Lucene.
+ *
+ * @return {String}
+ * @api public
+ */
+
+Expression.prototype.toString = function(){
+   var query;
+   switch(this.operator){
+      case 'clause':
+         query = this.value;
+         break;
+      case 'NOT':
+         query = '(*:* NOT ' + this.value[0] + ')';
+         break;
+      case 'AND':
+         var negative = this.value.every(function(expression){
+            return expression.operator === 'NOT';
+         });
+         var clauses = this.value.map(function(expression){
+            return expression.operator === 'NOT' && expression.weight === null ? 'NOT ' + expression.value[0] : expression.toString();
+         });
+         query = '(' + (negative ? ['*:*'].concat(clauses) : clauses).join(' AND ') + ')';
+         break;
+      default:
+         query = '(' + this.value.join(' ' + this.operator + ' ') + ')';
+   }
+   return this.weight === null ? query : query + '^' + this.weight;
+}
+
+/**
+ * Match the documents whose `field` holds `value`. The special characters of `value` are escaped and a value holding whitespaces is quoted into a phrase.
+ *
+ * @param {String} [field] - name of the field, the default field when null
+ * @param {String|Number|Date} value
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function term(field,value){
+   return clause(field,lucene.term(value));
+}
+
+/**
+ * Match the documents whose `field` holds the words of `text` in this order, or within `slop` positions of each other
+ *
+ * @param {String} [field] - name of the field, the default field when null
+ * @param {String} text
+ * @param {Number} [slop] - maximum number of positions between the words (proximity search)
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function phrase(field,text,slop){
+   return clause(field,lucene.phrase(text) + (slop === undefined ? '' : '~' + slop));
+}
+
+/**
+ * Match the documents whose `field` is between `start` and `end`, both included unless `options` says otherwise
+ *
+ * @param {String} field - name of the field
+ * @param {String|Number|Date} start - `null` for an open range
+ * @param {String|Number|Date} end - `null` for an open range
+ * @param {Object} [options] -
+ * @param {Boolean} [options.excludeStart=false] - if true, the documents whose `field` is `start` do not match
+ * @param {Boolean} [options.excludeEnd=false] - if true, the documents whose `field` is `end` do not match
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function range(field,start,end,options){
+   options = options || {};
+   return clause(field,(options.excludeStart ? '{' : '[') + bound(start) + ' TO ' + bound(end) + (options.excludeEnd ? '}' : ']'));
+}
+
+/**
+ * Match the documents whose `field` holds a term starting with `value`
+ *
+ * @param {String} [field] - name of the field, the default field when null
+ * @param {String} value
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function prefix(field,value){
+   return clause(field,lucene.escape(value) + '*');
+}
+
+/**
+ * Match the documents whose `field` holds a term matching `pattern`, `*` being any characters and `?` a single one. The other special characters are escaped.
+ *
+ * @param {String} [field] - name of the field, the default field when null
+ * @param {String} pattern
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function wildcard(field,pattern){
+   var value = String(pattern).split(/([*?])/).map(function(part,index){
+      return index % 2 ? part : lucene.escape(part);
+   }).join('');
+   return clause(field,value);
+}
+
+/**
+ * Match the documents whose `field` holds a term similar to `value`
+ *
+ * @param {String} [field] - name of the field, the default field when null
+ * @param {String} value
+ * @param {Number} [distance=2] - maximum number of edits (0, 1 or 2)
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function fuzzy(field,value,distance){
+   return clause(field,lucene.escape(value) + '~' + (distance === undefined ? '' : distance));
+}
+
+/**
+ * Use `query` as is, it is not escaped
+ *
+ * @param {String} query - a query in the Lucene syntax
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function raw(query){
+   return new Expression('clause',String(query));
+}
+
+/**
+ * Match all the documents
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function all(){
+   return raw('*:*');
+}
+
+/**
+ * Match the documents matching all the expressions
+ *
+ * @param {Expression|String|Array} expressions - expressions, as several arguments or an array, strings are used as is
+ *
+ * @return {Expression}
+ * @throws {TypeError} - when no expression is given
+ * @api public
+ */
+
+function and(){
+   return group('AND',arguments);
+}
+
+/**
+ * Match the documents matching at least one of the expressions
+ *
+ * @param {Expression|String|Array} expressions - expressions, as several arguments or an array, strings are used as is
+ *
+ * @return {Expression}
+ * @throws {TypeError} - when no expression is given
+ * @api public
+ */
+
+function or(){
+   return group('OR',arguments);
+}
+
+/**
+ * Match the documents not matching `expression`
+ *
+ * @param {Expression|String} expression - a string is used as is
+ *
+ * @return {Expression}
+ * @api public
+ */
+
+function not(expression){
+   return new Expression('NOT',[expression instanceof Expression ? expression : raw(expression)]);
+}
+
+/**
+ * Create a clause on `field`
+ *
+ * @param {String} [field]
+ * @param {String} value - value escaped
+ *
+ * @return {Expression}
+ * @api private
+ */
+
+function clause(field,value){
+   return new Expression('clause',field === undefined || field === null ? value : field + ':' + value);
+}
+
+/**
+ * Give a bound of a range, `*` when there is none
+ *
+ * @param {String|Number|Date} value
+ *
+ * @return {String}
+ * @api private
+ */
+
+function bound(value){
+   return value === undefined || value === null ? '*' : lucene.term(value);
+}
+
+/**
+ * Combine expressions with `operator`
+ *
+ * @param {String} operator - `AND` or `OR`
+ * @param {Arguments} args - expressions, or an array of them
+ *
+ * @return {Expression}
+ * @api private
+ */
+
+function group(operator,args){
+   var expressions = Array.isArray(args[0]) ? args[0] : Array.prototype.slice.call(args);
+   if(!expressions.length) throw new TypeError('At least one expression must be combined with ' + operator);
+   return new Expression(operator,expressions.map(function(expression){
+      return expression instanceof Expression ? expression : raw(expression);
+   }));
+}
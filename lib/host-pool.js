@@ -0,0 +1,196 @@
+/**
+ * Load dependencies
+ */
+
+var EventEmitter = require('events').EventEmitter,
+   balancers = require('./balancers');
+
+/**
+ * Expose `HostPool`
+ */
+
+module.exports = exports = HostPool;
+
+/**
+ * Create a new `HostPool`. It keeps track of the hosts answering and the ones that failed.
+ * Failed hosts are pinged on a regular basis and come back once a ping succeeds.
+ * @constructor
+ *
+ * @param {Array} hosts - list of `host:port` or `{ host : 'host:port', weight : Number, local : Boolean }`, the array is copied and never modified
+ * @param {Object} [options]
+ * @param {Number} [options.healthCheckInterval=30000] - time in milliseconds between two pings of the dead hosts
+ * @param {Function} [options.ping(host,callback)] - function pinging `host`, `callback(err)` is executed once it is done
+ * @param {String|Function|Object} [options.balancer='random'] - load-balancing strategy (see `balancers`) or custom picker, the same for all requests or `{ query : ..., update : ... }`
+ *
+ * @event hostDown - a host failed and is taken out of the pool, `function(host,err)`
+ * @event hostUp - a dead host answered a ping and is back in the pool, `function(host)`
+ *
+ * @return {HostPool}
+ * @api private
+ */
+
+function HostPool(hosts,options){
+   EventEmitter.call(this);
+   options = options || {};
+   var self = this;
+   this.hosts = [];
+   this.meta = {};
+   hosts.forEach(function(host){
+      if(typeof host === 'string') host = { host : host };
+      self.hosts.push(host.host);
+      self.meta[host.host] = {
+         weight : host.weight === undefined ? 1 : host.weight,
+         local : !!host.local,
+         outstanding : 0
+      };
+   });
+   var balancer = options.balancer;
+   if(!balancer || typeof balancer !== 'object') balancer = { query : balancer, update : balancer };
+   this.pickers = {
+      query : balancers.create(balancer.query),
+      update : balancers.create(balancer.update)
+   };
+   this.alive = this.hosts.slice();
+   this.dead = [];
+   this.healthCheckInterval = options.healthCheckInterval || 30000;
+   this.ping = options.ping;
+   this.pinging = {};
+   this.timer = null;
+}
+
+HostPool.prototype.__proto__ = EventEmitter.prototype;
+
+/**
+ * Pick one of the alive hosts with the load-balancing strategy of `type`. When all of them are dead, one of the dead hosts is picked.
+ *
+ * @param {String} [type='query'] - `query` or `update`
+ *
+ * @return {String} - `host:port`
+ * @api private
+ */
+
+HostPool.prototype.getHost = function(type){
+   var self = this;
+   var names = this.alive.length ? this.alive : this.dead;
+   var candidates = this.hosts
+      .filter(function(host){
+         return names.indexOf(host) !== -1;
+      })
+      .map(function(host){
+         var meta = self.meta[host];
+         return { host : host, weight : meta.weight, local : meta.local, outstanding : meta.outstanding };
+      });
+   var picker = this.pickers[type] || this.pickers.query;
+   var picked = picker(candidates) || candidates[0];
+   return typeof picked === 'string' ? picked : picked.host;
+}
+
+/**
+ * Count a request in flight on `host`
+ *
+ * @param {String} host - `host:port`
+ *
+ * @api private
+ */
+
+HostPool.prototype.acquire = function(host){
+   if(this.meta[host]) this.meta[host].outstanding++;
+}
+
+/**
+ * Count a request to `host` as done
+ *
+ * @param {String} host - `host:port`
+ *
+ * @api private
+ */
+
+HostPool.prototype.release = function(host){
+   if(this.meta[host] && this.meta[host].outstanding > 0) this.meta[host].outstanding--;
+}
+
+/**
+ * Move `host` to the dead list and start pinging it
+ *
+ * @param {String} host - `host:port`
+ * @param {Error} [err] - error that made the host fail
+ *
+ * @return {Boolean} - true if alive hosts are left
+ * @api private
+ */
+
+HostPool.prototype.markDead = function(host,err){
+   var index = this.alive.indexOf(host);
+   if(index !== -1){
+      this.alive.splice(index,1);
+      this.dead.push(host);
+      this.emit('hostDown',host,err);
+      this.startHealthCheck();
+   }
+   return this.alive.length !== 0;
+}
+
+/**
+ * Move `host` back to the alive list
+ *
+ * @param {String} host - `host:port`
+ *
+ * @api private
+ */
+
+HostPool.prototype.markAlive = function(host){
+   var index = this.dead.indexOf(host);
+   if(index === -1) return;
+   this.dead.splice(index,1);
+   this.alive.push(host);
+   if(this.dead.length === 0) this.stopHealthCheck();
+   this.emit('hostUp',host);
+}
+
+/**
+ * Ping all the dead hosts once, except the ones whose last ping is not done yet
+ *
+ * @api private
+ */
+
+HostPool.prototype.check = function(){
+   var self = this;
+   if(!this.ping) return;
+   this.dead.slice().forEach(function(host){
+      if(self.pinging[host]) return;
+      self.pinging[host] = true;
+      self.ping(host,function(err){
+         delete self.pinging[host];
+         if(!err) self.markAlive(host);
+      });
+   });
+}
+
+/**
+ * Ping the dead hosts every `healthCheckInterval` milliseconds.
+ * The timer does not keep the process running.
+ *
+ * @api private
+ */
+
+HostPool.prototype.startHealthCheck = function(){
+   var self = this;
+   if(this.timer) return;
+   this.timer = setInterval(function(){
+      self.check();
+   },this.healthCheckInterval);
+   if(this.timer.unref) this.timer.unref();
+}
+
+/**
+ * Stop pinging the dead hosts
+ *
+ * @api private
+ */
+
+HostPool.prototype.stopHealthCheck = function(){
+   if(this.timer){
+      clearInterval(this.timer);
+      this.timer = null;
+   }
+}
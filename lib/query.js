@@ -2,7 +2,15 @@
  * Load dependencies
  */
 var querystring = require('querystring'),
-    format = require('./utils/format');
+    format = require('./utils/format'),
+    lucene = require('./utils/lucene'),
+    Expression = require('./expression').Expression;
+
+/**
+ * Parameters of the DisMax and EDisMax query parsers
+ */
+
+var DISMAX = ['qf','mm','pf','ps','qs','tie','bq','bf','boost'];
 
 
 /**
@@ -22,6 +30,8 @@ module.exports = exports = Query;
 function Query(){
    this.parameters = [];
    this._core = null;
+   this._clauses = [];
+   this._rejected = [];
 }
 
 /**
@@ -35,6 +45,17 @@ function Query(){
  */
 Query.prototype.set = function(parameter){
    var self = this;
+   var index = parameter.indexOf('=');
+   var name = index === -1 ? parameter : parameter.slice(0,index);
+   var value = index === -1 ? '' : parameter.slice(index + 1);
+   try{
+      value = decodeURIComponent(value.replace(/\+/g,' '));
+   }catch(err){}
+   if(name === 'q' || name === 'fq'){
+      clause(this,value);
+   }else{
+      track(this,name,value);
+   }
    this.parameters.push(parameter);
    return self;
 }
@@ -51,6 +72,7 @@ Query.prototype.set = function(parameter){
 Query.prototype.defType = function(type){
    var self = this;
    var parameter = 'defType=' + type;
+   track(this,'defType',type);
    this.parameters.push(parameter);
    return self;
 }
@@ -76,19 +98,27 @@ Query.prototype.qt = function(name){
 /**
  *  Set the main query
  *
- * @param {String|Object} q -
+ * @param {String|Expression|Object} q - a query string, an expression built with `solr.Q`, or fields and values matched together
  *
  * @return  {Query}
  * @api public
+ *
+ * @example
+ * var Q = solr.Q;
+ * query.q(Q.and(Q.term('title','foo bar').boost(2),Q.not(Q.range('price',0,10))));
  */
 
 Query.prototype.q = function(q){
    var self = this;
    var parameter ='q=';
-   if ( typeof(q) === 'string' ){
-      parameter += encodeURIComponent(q);
+   if ( typeof(q) === 'string' || q instanceof Expression ){
+      parameter += encodeURIComponent(q.toString());
+      clause(this,q.toString());
    }else{
       parameter += querystring.stringify(q, '%20AND%20',':');
+      clause(this,Object.keys(q).map(function(field){
+         return field + ':' + (q[field] === '*' ? '*' : lucene.term(q[field]));
+      }).join(' AND '));
    }
    this.parameters.push(parameter);
    return self;
@@ -180,6 +210,31 @@ Query.prototype.rangeFilter = function(options){
       filter[key] = '[' + encodeURIComponent(options.start) + '%20TO%20' + encodeURIComponent(options.end) + ']';
       parameter += format.stringify(filter, '',':');
    }
+   clause(this,(Array.isArray(options) ? options : [options]).map(function(option){
+      return option.field + ':[' + bound(option.start) + ' TO ' + bound(option.end) + ']';
+   }).join(' AND '));
+   this.parameters.push(parameter);
+   return self;
+}
+
+/**
+ * Filter the set of documents found before to return the result with the given filter query, cached by Solr apart from the main query.
+ *
+ * @param {String|Expression} query - a query string or an expression built with `solr.Q`
+ *
+ * @return {Query}
+ * @api public
+ *
+ * @example
+ * var Q = solr.Q;
+ * var query = client.createQuery();
+ * query.q('laptop').fq(Q.or(Q.term('category','Electronics'),Q.term('category','Home & Garden')))
+ */
+
+Query.prototype.fq = function(query){
+   var self = this;
+   var parameter = 'fq=' + encodeURIComponent(query.toString());
+   clause(this,query.toString());
    this.parameters.push(parameter);
    return self;
 }
@@ -203,6 +258,7 @@ Query.prototype.matchFilter = function(field,value){
    value = format.dateISOify(value);
    var parameter = 'fq=';
    parameter += field + ':' + encodeURIComponent(value);
+   clause(this,field + ':' + lucene.term(value));
    this.parameters.push(parameter);
    return self;
 }
@@ -229,6 +285,86 @@ Query.prototype.restrict = function(fields){
    return self;
 }
 
+/**
+ * Search the parent documents of the blocks whose child documents match `query` (block join).
+ *
+ * @param {String} which - query matching all the parent documents, e.g.: `type:product`
+ * @param {String} query - query matching the child documents, e.g.: `color:red`
+ * @param {Object} [options] -
+ * @param {Boolean} [options.filter=false] - if true, the block join is used as a filter query (`fq`) instead of the main query (`q`)
+ * @param {String} [options.score] - how the scores of the child documents make the score of their parent: `none`, `avg`, `max`, `min` or `total`
+ *
+ * @return {Query}
+ * @api public
+ *
+ * @example
+ * var query = client.createQuery();
+ * query.parent('type:product','color:red AND size:M').childDocs({ parentFilter : 'type:product' });
+ */
+
+Query.prototype.parent = function(which,query,options){
+   var self = this;
+   options = options || {};
+   var localParams = '{!parent which=' + localParam(which);
+   if(options.score) localParams += ' score=' + options.score;
+   localParams += '}';
+   clause(this,localParams + query);
+   this.parameters.push((options.filter ? 'fq=' : 'q=') + encodeURIComponent(localParams + query));
+   return self;
+}
+
+/**
+ * Search the child documents of the blocks whose parent document matches `query` (block join).
+ *
+ * @param {String} of - query matching all the parent documents, e.g.: `type:product`
+ * @param {String} query - query matching the parent documents, e.g.: `brand:acme`
+ * @param {Object} [options] -
+ * @param {Boolean} [options.filter=false] - if true, the block join is used as a filter query (`fq`) instead of the main query (`q`)
+ *
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.child = function(of,query,options){
+   var self = this;
+   options = options || {};
+   var localParams = '{!child of=' + localParam(of) + '}';
+   clause(this,localParams + query);
+   this.parameters.push((options.filter ? 'fq=' : 'q=') + encodeURIComponent(localParams + query));
+   return self;
+}
+
+/**
+ * Return the child documents nested in each document found, with the `[child]` document transformer.
+ *
+ * @param {Object} [options] -
+ * @param {String} [options.parentFilter] - query matching all the parent documents, required before Solr 8
+ * @param {String} [options.childFilter] - query the child documents returned must match
+ * @param {Number} [options.limit] - maximum number of child documents returned for each document
+ * @param {String|Array} [options.fl] - fields of the child documents returned
+ * @param {String|Array} [options.fields='*'] - fields of the documents found returned along with their child documents
+ *
+ * @return {Query}
+ * @api public
+ */
+
+Query.prototype.childDocs = function(options){
+   var self = this;
+   options = options || {};
+   var transformer = '[child';
+   ['parentFilter','childFilter','limit','fl'].forEach(function(name){
+      var value = options[name];
+      if(value === undefined) return;
+      if(Array.isArray(value)) value = value.join(',');
+      transformer += ' ' + name + '=' + localParam(String(value));
+   });
+   transformer += ']';
+   var fields = options.fields || '*';
+   if(Array.isArray(fields)) fields = fields.join(',');
+   this.parameters.push('fl=' + encodeURIComponent(fields + ',' + transformer));
+   return self;
+}
+
 /**
  * Set the time allowed for a search to finish.
  * Partial results may be returned (if there are any).
@@ -510,6 +646,7 @@ Query.prototype.qf = function(options){
    var self = this;
    var parameter = 'qf=' ;
    parameter += querystring.stringify(options, '%20' , '^');
+   track(this,'qf');
    this.parameters.push(parameter);
    return self;
 }
@@ -530,6 +667,7 @@ Query.prototype.qf = function(options){
 Query.prototype.mm = function(minimum){
    var self = this;
    var parameter = 'mm=' + minimum;
+   track(this,'mm');
    this.parameters.push(parameter);
    return self;
 }
@@ -549,6 +687,7 @@ Query.prototype.pf = function(options){
    var self = this;
    var parameter = 'pf=' ;
    parameter += querystring.stringify(options, '%20' , '^');
+   track(this,'pf');
    this.parameters.push(parameter);
    return self;
 }
@@ -565,6 +704,7 @@ Query.prototype.pf = function(options){
 Query.prototype.ps = function(slop){
    var self = this;
    var parameter = 'ps=' + slop;
+   track(this,'ps');
    this.parameters.push(parameter);
    return self;
 };
@@ -580,6 +720,7 @@ Query.prototype.ps = function(slop){
 Query.prototype.qs = function(slop){
    var self = this;
    var parameter = 'qs=' + slop;
+   track(this,'qs');
    this.parameters.push(parameter);
    return self;
 };
@@ -596,6 +737,7 @@ Query.prototype.qs = function(slop){
 Query.prototype.tie = function(tiebreaker){
    var self = this;
    var parameter = 'tie=' + tiebreaker;
+   track(this,'tie');
    this.parameters.push(parameter);
    return self;
 }
@@ -604,7 +746,7 @@ Query.prototype.tie = function(tiebreaker){
  * Set the Boost Query parameter.
  * A raw query string (in the SolrQuerySyntax) that will be included with the user's query to influence the score. If this is a BooleanQuery with a default boost (1.0f) then the individual clauses will be added directly to the main query. Otherwise, the query will be included as is.
  *
- * @param {Object} options -
+ * @param {String|Expression|Object} options - a query string, an expression built with `solr.Q`, or clauses and their boosts, e.g.: `{ 'cat:electronics' : 5 }`
  *
  * @return {Query}
  * @api public
@@ -613,7 +755,12 @@ Query.prototype.tie = function(tiebreaker){
 Query.prototype.bq = function(options){
    var self = this;
    var parameter = 'bq=' ;
-   parameter += querystring.stringify(options, '%20' , '^');
+   if(typeof options === 'string' || options instanceof Expression){
+      parameter += encodeURIComponent(options.toString());
+   }else{
+      parameter += querystring.stringify(options, '%20' , '^');
+   }
+   track(this,'bq');
    this.parameters.push(parameter);
    return self;
 }
@@ -630,6 +777,7 @@ Query.prototype.bq = function(options){
 Query.prototype.bf = function(functions){
    var self = this;
    var parameter = 'bf=' + functions;
+   track(this,'bf');
    this.parameters.push(parameter);
    return self;
 }
@@ -645,6 +793,7 @@ Query.prototype.bf = function(functions){
 Query.prototype.boost = function(functions){
    var self = this;
    var parameter = 'boost=' + encodeURIComponent(functions);
+   track(this,'boost');
    this.parameters.push(parameter);
    return self;
 }
@@ -659,3 +808,78 @@ Query.prototype.build = function(){
    return this.parameters.join('&');
 }
 
+/**
+ * Give the delete query removing the documents this query finds, i.e. its main query (`q`) and its filter queries (`fq`) combined, with their values escaped.
+ *
+ * @return {String}
+ * @throws {TypeError} - when the query uses another query parser than the standard one, DisMax parameters or local parameters,
+ * since the delete query would not match the same documents, or when it has neither a main query nor a filter query
+ * @api private
+ */
+
+Query.prototype.deleteQuery = function(){
+   if(this._rejected.length){
+      throw new TypeError('A query using ' + this._rejected.join(', ') + ' cannot be turned into a delete query, it would not delete the documents it finds');
+   }
+   if(!this._clauses.length) throw new TypeError('The query has neither a main query nor a filter query');
+   return this._clauses.length === 1 ? this._clauses[0] : '(' + this._clauses.join(') AND (') + ')';
+}
+
+/**
+ * Quote the value of a local parameter when it holds spaces, quotes or braces
+ *
+ * @param {String} value
+ *
+ * @return {String}
+ * @api private
+ */
+
+function localParam(value){
+   if(!/[\s'"{}]/.test(value)) return value;
+   return '"' + value.replace(/\\/g,'\\\\').replace(/"/g,'\\"') + '"';
+}
+
+/**
+ * Keep `value`, a main query or a filter query in the Lucene syntax, for `Query#deleteQuery()`
+ *
+ * @param {Query} query
+ * @param {String} value
+ *
+ * @api private
+ */
+
+function clause(query,value){
+   if(/^\s*\{!/.test(value)) track(query,'local parameters');
+   query._clauses.push(value);
+}
+
+/**
+ * Keep the parameters changing the documents matched by the main query, for `Query#deleteQuery()`
+ *
+ * @param {Query} query
+ * @param {String} name - name of the parameter
+ * @param {String} [value]
+ *
+ * @api private
+ */
+
+function track(query,name,value){
+   if(name === 'defType' && value !== 'lucene'){
+      query._rejected.push('defType=' + value);
+   }else if(name === 'local parameters' || DISMAX.indexOf(name) !== -1){
+      if(query._rejected.indexOf(name) === -1) query._rejected.push(name);
+   }
+}
+
+/**
+ * Give a bound of a range, `*` being kept for an open range
+ *
+ * @param {String|Number|Date} value
+ *
+ * @return {String}
+ * @api private
+ */
+
+function bound(value){
+   return value === '*' ? '*' : lucene.term(value);
+}
@@ -0,0 +1,76 @@
+/**
+ * Expose `RetryPolicy`
+ */
+
+module.exports = exports = RetryPolicy;
+
+/**
+ * Default values of the options of `RetryPolicy`
+ */
+
+var DEFAULTS = exports.DEFAULTS = {
+   maxAttempts : 3,
+   errorCodes : ['ECONNREFUSED','ECONNRESET','ETIMEDOUT','EHOSTUNREACH','EPIPE'],
+   statusCodes : [503],
+   minDelay : 100,
+   maxDelay : 5000,
+   nonIdempotent : false
+};
+
+/**
+ * Create a new `RetryPolicy`. It decides if a failed request is sent again and how long to wait before.
+ * @constructor
+ *
+ * @param {Object|Boolean} [options] - set of options, `false` to never retry
+ * @param {Number} [options.maxAttempts=3] - maximum number of times a request is sent, including the first one
+ * @param {Array} [options.errorCodes] - codes of the socket errors worth a retry, e.g.: `ECONNREFUSED`, `ETIMEDOUT`
+ * @param {Array} [options.statusCodes=[503]] - HTTP status codes worth a retry
+ * @param {Number} [options.minDelay=100] - delay in milliseconds before the first retry, doubled on each retry
+ * @param {Number} [options.maxDelay=5000] - maximum delay in milliseconds between two attempts
+ * @param {Boolean} [options.nonIdempotent=false] - if true, non-idempotent commands are retried too
+ *
+ * @return {RetryPolicy}
+ * @api private
+ */
+
+function RetryPolicy(options){
+   if(options === false) options = { maxAttempts : 1 };
+   options = options || {};
+   var self = this;
+   Object.keys(DEFAULTS).forEach(function(name){
+      self[name] = options[name] !== undefined ? options[name] : DEFAULTS[name];
+   });
+}
+
+/**
+ * Tell if the request that failed with `err` should be sent again
+ *
+ * @param {Error} err - error of the last attempt
+ * @param {Number} attempt - number of attempts already made
+ * @param {Boolean} idempotent - if false, the request is retried only when the policy allows non-idempotent retries
+ *
+ * @return {Boolean}
+ * @api private
+ */
+
+RetryPolicy.prototype.shouldRetry = function(err,attempt,idempotent){
+   if(attempt >= this.maxAttempts) return false;
+   if(!idempotent && !this.nonIdempotent) return false;
+   if(err.statusCode) return this.statusCodes.indexOf(err.statusCode) !== -1;
+   return this.errorCodes.indexOf(err.code) !== -1;
+}
+
+/**
+ * Compute the delay before the next attempt: exponential backoff with jitter.
+ * The delay is picked at random between the half and the whole of `minDelay * 2^(attempt - 1)`, capped by `maxDelay`.
+ *
+ * @param {Number} attempt - number of attempts already made
+ *
+ * @return {Number} - delay in milliseconds
+ * @api private
+ */
+
+RetryPolicy.prototype.delay = function(attempt){
+   var delay = Math.min(this.maxDelay, this.minDelay * Math.pow(2, attempt - 1));
+   return Math.round(delay / 2 + Math.random() * delay / 2);
+}
@@ -0,0 +1,91 @@
+/**
+ * Load dependencies
+ */
+
+var errors = require('./error'),
+   commit = require('./utils/commit');
+
+/**
+ * Expose `tolerantAdd()`
+ */
+
+module.exports = exports = tolerantAdd;
+
+/**
+ * Add a list of documents, reporting which of them failed instead of failing the whole batch.
+ * The batch is sent with `maxErrors`, so that a `TolerantUpdateProcessor` in the update chain lists the documents it rejected in `responseHeader.errors`.
+ * When Solr rejects the whole batch (status code 400), the batch is split in two and each half is sent again, until the documents failing are found.
+ *
+ * @param {Client} client
+ * @param {Array} docs - documents already formatted by `Client#add()`
+ * @param {Object} options - options of `Client#add()`
+ * @param {Number} [options.maxErrors=-1] - maximum number of documents the `TolerantUpdateProcessor` may reject, -1 for no limit
+ * @param {String} [options.updateChain] - name of the update chain containing the `TolerantUpdateProcessor`
+ * @param {String} [options.uniqueKey='id'] - field holding the id of the documents
+ * @param {Function} callback(err,result) - `err` is given only when a batch failed for another reason than its documents, e.g.: a `SolrConnectionError`
+ * @param {Object} callback().result - `{ succeeded : Array, failed : Array }`, ids of the documents added, and `{ id : *, doc : Object, error : SolrError }` for each document rejected
+ *
+ * @api private
+ */
+
+function tolerantAdd(client,docs,options,callback){
+   var uniqueKey = options.uniqueKey || 'id';
+   var maxErrors = options.maxErrors !== undefined ? options.maxErrors : -1;
+   var path = options.update || 'update';
+   if(path.indexOf('?') === -1){
+      try{
+         path += '?' + commit.parameters(options,client.autoCommit);
+      }catch(err){
+         return process.nextTick(function(){
+            callback(err,null);
+         });
+      }
+   }
+   path += '&maxErrors=' + maxErrors;
+   if(options.updateChain) path += '&update.chain=' + encodeURIComponent(options.updateChain);
+   var updateOptions = {};
+   Object.keys(options).forEach(function(name){
+      updateOptions[name] = options[name];
+   });
+   updateOptions.update = path;
+   var result = { succeeded : [], failed : [] };
+
+   function send(batch,callback){
+      client.update(batch,updateOptions,function(err,res){
+         if(!err){
+            var rejected = {};
+            ((res && res.responseHeader && res.responseHeader.errors) || []).forEach(function(error){
+               rejected[String(error.id)] = error.message;
+            });
+            batch.forEach(function(doc){
+               var id = doc[uniqueKey];
+               if(rejected.hasOwnProperty(String(id))){
+                  var error = errors.fromResponse(400,{ error : { msg : rejected[String(id)], code : 400 } });
+                  result.failed.push({ id : id, doc : doc, error : error });
+               }else{
+                  result.succeeded.push(id);
+               }
+            });
+            return callback(null);
+         }
+         if(!(err instanceof errors.SolrBadRequestError)) return callback(err);
+         if(batch.length === 1){
+            result.failed.push({ id : batch[0][uniqueKey], doc : batch[0], error : err });
+            return callback(null);
+         }
+         var middle = Math.ceil(batch.length / 2);
+         send(batch.slice(0,middle),function(err){
+            if(err) return callback(err);
+            send(batch.slice(middle),callback);
+         });
+      });
+   }
+
+   if(!docs.length) return process.nextTick(function(){
+      callback(null,result);
+   });
+   send(docs,function(err){
+      if(err) return callback(err,null);
+      callback(null,result);
+   });
+}
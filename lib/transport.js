@@ -0,0 +1,934 @@
+/**
+ * Load dependencies
+ */
+
+var http = require('http'),
+   https = require('https'),
+   querystring = require('querystring'),
+   zlib = require('zlib'),
+   EventEmitter = require('events').EventEmitter,
+   RetryPolicy = require('./retry'),
+   HostPool = require('./host-pool'),
+   callbackUtil = require('./utils/callback'),
+   jsonStream = require('./utils/json-stream'),
+   StringDecoder = require('string_decoder').StringDecoder,
+   proxy = require('./proxy'),
+   errors = require('./error'),
+   SolrError = errors.SolrError,
+   SolrTimeoutError = errors.SolrTimeoutError,
+   SolrConnectionError = errors.SolrConnectionError;
+
+/**
+ * Expose `Transport`
+ */
+
+module.exports = exports = Transport;
+
+/**
+ * Options of the `Client` passed along to `https.request()`
+ */
+
+var TLS_OPTIONS = ['ca','cert','key','rejectUnauthorized','servername'];
+
+/**
+ * Charsets of responses decoded by `Buffer`, the other ones are decoded by `TextDecoder`
+ */
+
+var BUFFER_ENCODINGS = {
+   'utf-8' : 'utf8',
+   'utf8' : 'utf8',
+   'iso-8859-1' : 'latin1',
+   'latin1' : 'latin1',
+   'us-ascii' : 'ascii',
+   'ascii' : 'ascii',
+   'utf-16le' : 'utf16le',
+   'ucs-2' : 'ucs2'
+};
+
+/**
+ * Create a new `Transport`. Every HTTP request sent to the Solr server goes through it.
+ * @constructor
+ *
+ * @param {Object} options - set of options of the `Client`, shared with it
+ * @param {Array} options.hosts - list of hosts (`host:port`) of the Solr servers
+ * @param {Number} [options.connectTimeout] - time in milliseconds allowed to open a connection
+ * @param {Number} [options.responseTimeout] - time in milliseconds allowed to receive the whole response once the request is sent, for a streamed body once the body is written
+ * @param {Function} [options.auth] - authentication provider giving the headers of each request, see `auth`
+ * @param {String} [options.protocol='http'] - `http` or `https`
+ * @param {String|Buffer|Array} [options.ca] - TLS option, see `tls.connect()`
+ * @param {String|Buffer} [options.cert] - TLS option, see `tls.connect()`
+ * @param {String|Buffer} [options.key] - TLS option, see `tls.connect()`
+ * @param {Boolean} [options.rejectUnauthorized] - TLS option, see `tls.connect()`
+ * @param {String} [options.servername] - TLS option, see `tls.connect()`
+ * @param {Boolean} [options.keepAlive] - if true, sockets are kept open between requests
+ * @param {Number} [options.maxSockets] - maximum number of sockets opened per host
+ * @param {http.Agent|Boolean} [options.agent] - agent used instead of the one created by the transport
+ * @param {String|Boolean} [options.proxy] - URL of the proxy, `false` to ignore `HTTP_PROXY` and `HTTPS_PROXY`
+ * @param {Boolean} [options.decompress=true] - if true, gzip and deflate responses are accepted
+ * @param {Boolean} [options.compressRequests=false] - if true, bodies of `options.compressThreshold` bytes or more are gzipped
+ * @param {Number} [options.compressThreshold=1024] - size in bytes from which bodies are gzipped
+ * @param {Boolean} [options.streamParse=false] - if true, JSON responses are parsed as they come instead of being buffered
+ * @param {Object|Boolean} [options.retry] - options of the `RetryPolicy`, `false` to never retry
+ * @param {Number} [options.healthCheckInterval] - time in milliseconds between two pings of the dead hosts
+ * @param {Number} [options.healthCheckTimeout=5000] - time in milliseconds allowed to a ping of a dead host, to connect and to respond
+ * @param {String|Function|Object} [options.balancer] - load-balancing strategy, see `HostPool`
+ *
+ * @event request - a request is sent to a host, `function(event)`
+ * @event response - a host answered, `function(event)`, `event.duration` and `event.qtime` give the time spent by the request and by Solr
+ * @event retry - a request failed and is sent again after `event.delay` milliseconds, `function(err,event)`
+ * @event error - a request failed for good, `function(err,event)`. Emitted only when a listener is attached
+ *
+ * @return {Transport}
+ * @api private
+ */
+
+function Transport(options){
+   EventEmitter.call(this);
+   var self = this;
+   this.options = options;
+   this.agent = null;
+   this.proxyAgents = {};
+   this.interceptors = [];
+   this.retry = new RetryPolicy(options.retry);
+   this.pool = new HostPool(options.hosts,{
+      healthCheckInterval : options.healthCheckInterval,
+      healthCheckTimeout : options.healthCheckTimeout,
+      balancer : options.balancer,
+      ping : function(host,callback){
+         self.ping(host,callback);
+      }
+   });
+}
+
+Transport.prototype.__proto__ = EventEmitter.prototype;
+
+/**
+ * Add an interceptor, see `Client#use()`
+ *
+ * @param {Object|Function} interceptor - `{ request : Function, response : Function, error : Function }` or a request interceptor
+ *
+ * @api private
+ */
+
+Transport.prototype.use = function(interceptor){
+   if(typeof interceptor === 'function') interceptor = { request : interceptor };
+   this.interceptors.push(interceptor);
+}
+
+/**
+ * Pick one of the Solr hosts
+ *
+ * @param {String} [type='query'] - `query` or `update`, each of them can use its own load-balancing strategy
+ *
+ * @return {String} - `host:port`
+ * @api private
+ */
+
+Transport.prototype.getHost = function(type){
+   return this.pool.getHost(type);
+}
+
+/**
+ * Send an HTTP request to one of the Solr hosts.
+ * A request failing with a socket error or a status code listed by the `RetryPolicy` is sent again, to another host if there is one.
+ * A host failing with a socket error or a connect timeout is marked as dead in the `HostPool`.
+ * A request with a stream as body is never sent again.
+ * A request answered with the status code 401 is sent again once, after the authentication provider refreshed its credentials.
+ * The request interceptors run once before the first attempt, the response and error interceptors once the request is done.
+ * The body is gzipped once, after the request interceptors, when `options.compressRequests` is set.
+ *
+ * @param {Object} params
+ * @param {String} [params.method='GET'] - HTTP method
+ * @param {String} params.path - full path of the request, contains query parameters
+ * @param {String} [params.host] - `host:port` to use instead of one picked from `options.hosts`
+ * @param {String} [params.type='query'] - `query` or `update`, picks the load-balancing strategy used
+ * @param {String} [params.core] - name of the core requested, given in the events, `options.core` by default
+ * @param {String} [params.contentType] - value of the content-type header
+ * @param {Object} [params.headers] - extra headers, they override the ones built by the transport
+ * @param {String|Buffer|Stream} [params.body] - body of the request
+ * @param {Boolean} [params.idempotent=true] - if false, the request is retried only if the `RetryPolicy` allows non-idempotent retries
+ * @param {Boolean} [params.raw=false] - if true, the body of the response is not deserialized
+ * @param {Stream} [params.parser] - parser created by `jsonStream.parse()` the response is written into, the callback gets no data. The request is never sent again
+ * @param {Number} [params.connectTimeout] - overrides `options.connectTimeout`
+ * @param {Number} [params.responseTimeout] - overrides `options.responseTimeout`
+ * @param {AbortSignal} [params.signal] - signal cancelling the request when it fires an `abort` event
+ * @param {Function} callback(err,obj) - a function executed when the Solr server responds or an error occurs
+ * @param {Error} callback().err
+ * @param {Object|String} callback().obj - JSON response sent by the Solr server deserialized, or the raw body if `params.raw` is true
+ *
+ * @api private
+ */
+
+Transport.prototype.request = function(params,callback){
+   var self = this;
+   var attempts = 0;
+   var refreshed = false;
+   var retryable = !(params.body && typeof params.body.pipe === 'function') && !params.parser;
+   var idempotent = params.idempotent !== false;
+   var signal = params.signal;
+   var request = null;
+   var event = null;
+   var cancel = null;
+   var timer = null;
+   var unlisten = null;
+   var done = false;
+   function finish(err,data){
+      if(done) return;
+      done = true;
+      clearTimeout(timer);
+      if(unlisten) unlisten();
+      if(request){
+         var result = self.interceptResponse(err,data,request);
+         err = result.err;
+         data = result.data;
+      }
+      if(err){
+         if(event) event.duration = Date.now() - event.start;
+         if(self.listeners('error').length) self.emit('error',err,event || describe(self,params,null,0));
+      }
+      if(callback) callback(err,data);
+   }
+   function attempt(refresh){
+      attempts++;
+      var host = request.host || self.getHost(request.type);
+      event = describe(self,request,host,attempts);
+      self.emit('request',event);
+      self.pool.acquire(host);
+      cancel = self.send(host,request,!!refresh,function(err,data){
+         self.pool.release(host);
+         if(done) return;
+         event.duration = Date.now() - event.start;
+         if(!request.host){
+            if(err && !err.authentication && unreachable(err)) self.pool.markDead(host,err);
+            else self.pool.markAlive(host);
+         }
+         if(err && err.statusCode === 401 && self.options.auth && retryable && !refreshed){
+            refreshed = true;
+            attempts--;
+            return attempt(true);
+         }
+         if(err && retryable && self.retry.shouldRetry(err,attempts,idempotent)){
+            cancel = null;
+            event.delay = self.retry.delay(attempts);
+            self.emit('retry',err,event);
+            timer = setTimeout(attempt,event.delay);
+            return;
+         }
+         if(!err){
+            event.statusCode = 200;
+            event.qtime = qtime(data);
+            self.emit('response',event);
+         }
+         finish(err,data);
+      });
+   }
+   if(signal){
+      if(signal.aborted){
+         return process.nextTick(function(){
+            finish(abortError(),null);
+         });
+      }
+      unlisten = onAbort(signal,function(){
+         finish(abortError(),null);
+         if(cancel) cancel();
+      });
+   }
+   this.interceptRequest(params,function(err,params){
+      if(done) return;
+      if(err) return finish(err,null);
+      self.compress(params,function(err,params){
+         if(done) return;
+         if(err) return finish(err,null);
+         request = params;
+         attempt();
+      });
+   });
+}
+
+/**
+ * Gzip the body of a request when `options.compressRequests` is set and the body is `options.compressThreshold` bytes or more.
+ * Streams and bodies already encoded are sent as they are.
+ *
+ * @param {Object} params - see `Transport#request()`
+ * @param {Function} callback(err,params) - executed with the parameters of the request, with the compressed body
+ *
+ * @api private
+ */
+
+Transport.prototype.compress = function(params,callback){
+   var body = params.body;
+   var threshold = this.options.compressThreshold !== undefined ? this.options.compressThreshold : 1024;
+   var encoded = Object.keys(params.headers || {}).some(function(name){
+      return name.toLowerCase() === 'content-encoding';
+   });
+   if(!this.options.compressRequests || encoded || !(typeof body === 'string' || Buffer.isBuffer(body))) return callback(null,params);
+   if(Buffer.byteLength(body) < threshold) return callback(null,params);
+   zlib.gzip(body,function(err,compressed){
+      if(err) return callback(err,null);
+      var compressedParams = {};
+      Object.keys(params).forEach(function(name){
+         compressedParams[name] = params[name];
+      });
+      compressedParams.headers = {};
+      Object.keys(params.headers || {}).forEach(function(name){
+         compressedParams.headers[name] = params.headers[name];
+      });
+      compressedParams.headers['content-encoding'] = 'gzip';
+      compressedParams.body = compressed;
+      callback(null,compressedParams);
+   });
+}
+
+/**
+ * Run the request interceptors one after the other.
+ * Each of them is given `{ method : String, host : String, type : String, path : String, params : Object, headers : Object, body : String|Buffer|Stream }`,
+ * which it can change, replace by returning a new one, or give through a callback or a `Promise`.
+ *
+ * @param {Object} params - see `Transport#request()`
+ * @param {Function} callback(err,params) - executed with the parameters of the request rewritten by the interceptors
+ *
+ * @api private
+ */
+
+Transport.prototype.interceptRequest = function(params,callback){
+   var interceptors = this.interceptors.filter(function(interceptor){
+      return interceptor.request;
+   });
+   if(!interceptors.length) return callback(null,params);
+   var index = params.path.indexOf('?');
+   var pathname = index === -1 ? params.path : params.path.slice(0,index);
+   var search = index === -1 ? '' : params.path.slice(index + 1);
+   var headers = {};
+   if(params.contentType) headers['content-type'] = params.contentType;
+   Object.keys(params.headers || {}).forEach(function(name){
+      headers[name.toLowerCase()] = params.headers[name];
+   });
+   var request = {
+      method : params.method || 'GET',
+      host : params.host,
+      type : params.type || 'query',
+      path : pathname,
+      params : querystring.parse(search),
+      headers : headers,
+      body : params.body
+   };
+   var original = querystring.stringify(request.params);
+   var i = 0;
+   (function next(err,result){
+      if(err) return callback(err,null);
+      if(result) request = result;
+      var interceptor = interceptors[i++];
+      if(!interceptor){
+         var rewritten = {};
+         Object.keys(params).forEach(function(name){
+            rewritten[name] = params[name];
+         });
+         var query = querystring.stringify(request.params);
+         if(query !== original) search = query;
+         rewritten.path = request.path + (search ? '?' + search : '');
+         rewritten.method = request.method;
+         rewritten.host = request.host;
+         rewritten.type = request.type;
+         rewritten.headers = request.headers;
+         rewritten.contentType = undefined;
+         rewritten.body = request.body;
+         return callback(null,rewritten);
+      }
+      if(interceptor.request.length > 1) return callbackUtil.invoke(interceptor.request,[request],next);
+      callbackUtil.invoke(function(request){
+         var result = interceptor.request(request);
+         return result === undefined ? request : result;
+      },[request],next);
+   })();
+}
+
+/**
+ * Run the response and error interceptors.
+ * A response interceptor `function(data,request)` can return a new response, an error interceptor `function(err,request)` a new error.
+ * An interceptor throwing fails the request with the error thrown, which goes through the error interceptors registered after it.
+ *
+ * @param {Error} err
+ * @param {Object|String} data
+ * @param {Object} request - parameters of the request, see `Transport#request()`
+ *
+ * @return {Object} - `{ err : Error, data : Object|String }`
+ * @api private
+ */
+
+Transport.prototype.interceptResponse = function(err,data,request){
+   this.interceptors.forEach(function(interceptor){
+      var result;
+      try{
+         if(err && interceptor.error){
+            result = interceptor.error(err,request);
+            if(result instanceof Error) err = result;
+         }else if(!err && interceptor.response){
+            result = interceptor.response(data,request);
+            if(result !== undefined) data = result;
+         }
+      }catch(thrown){
+         err = thrown;
+         data = null;
+      }
+   });
+   return { err : err, data : data };
+}
+
+/**
+ * Send a single HTTP request to `host`.
+ * The connect timeout runs until the socket is connected, the response timeout from then until the whole response is received.
+ * A reused keep-alive socket only gets the response timeout.
+ * The request is created once the authentication provider gave its headers.
+ *
+ * @param {String} host - `host:port`
+ * @param {Object} params - see `Transport#request()`
+ * @param {Boolean} refreshAuth - if true, the authentication provider is asked to refresh its credentials
+ * @param {Function} callback(err,obj)
+ *
+ * @return {Function} - aborts the request
+ * @api private
+ */
+
+Transport.prototype.send = function(host,params,refreshAuth,callback){
+   var self = this;
+   var done = false;
+   var timer = null;
+   var request = null;
+   function finish(err,data){
+      if(done) return;
+      done = true;
+      clearTimeout(timer);
+      callback(err,data);
+   }
+   this.authenticate({
+      host : host,
+      method : params.method || 'GET',
+      path : params.path,
+      refresh : refreshAuth
+   },function(err,authHeaders){
+      if(done) return;
+      if(err){
+         err.authentication = true;
+         return finish(err,null);
+      }
+      request = self.dispatch(host,params,authHeaders,finish,function(phase,timeout){
+         clearTimeout(timer);
+         if(!timeout) return;
+         timer = setTimeout(function(){
+            finish(new SolrTimeoutError(phase,timeout,host,params.path),null);
+            request.abort();
+         },timeout);
+      });
+   });
+   return function(){
+      finish(abortError(),null);
+      if(request) request.abort();
+   };
+}
+
+/**
+ * Create the HTTP request to `host` and write its body
+ *
+ * @param {String} host - `host:port`
+ * @param {Object} params - see `Transport#request()`
+ * @param {Object} [authHeaders] - headers given by the authentication provider
+ * @param {Function} finish(err,obj) - executed when the Solr server responds or an error occurs
+ * @param {Function} startTimer(phase,timeout) - (re)starts the timeout of `phase`
+ *
+ * @return {http.ClientRequest}
+ * @api private
+ */
+
+Transport.prototype.dispatch = function(host,params,authHeaders,finish,startTimer){
+   var self = this;
+   var connectTimeout = params.connectTimeout !== undefined ? params.connectTimeout : this.options.connectTimeout;
+   var responseTimeout = params.responseTimeout !== undefined ? params.responseTimeout : this.options.responseTimeout;
+   var h = host.split(':');
+   var options = {
+      host : h[0],
+      port : h[1] || 8983,
+      method : params.method || 'GET',
+      path : params.path,
+      headers : this.buildHeaders(params,authHeaders)
+   };
+   var secure = this.options.protocol === 'https';
+   options.agent = this.getAgent(host);
+   if(options.agent && options.agent.proxy) options.connectTimeout = connectTimeout;
+   if(secure){
+      TLS_OPTIONS.forEach(function(name){
+         if(self.options[name] !== undefined) options[name] = self.options[name];
+      });
+   }
+   var request = (secure ? https : http).request(options,function(res){
+      self.decode(res,host,params,finish);
+   });
+   // The response to a piped body is awaited once the body is written, the writer may take its time
+   var written = !(params.body && typeof params.body.pipe === 'function');
+   var connected = false;
+   function respond(){
+      connected = true;
+      startTimer('response',written ? responseTimeout : 0);
+   }
+   request.on('socket',function(socket){
+      if(socket.connecting){
+         startTimer('connect',connectTimeout);
+         socket.once('connect',respond);
+      }else{
+         respond();
+      }
+   });
+   if(!written){
+      request.on('finish',function(){
+         written = true;
+         if(connected) respond();
+      });
+   }
+   request.on('error',function(err){
+      finish(err instanceof SolrError ? err : new SolrConnectionError(err,host,params.path),null);
+   });
+   writeBody(request,params.body);
+   return request;
+}
+
+/**
+ * Ping `host`, used by the `HostPool` to check if a dead host is back.
+ * The ping has its own timeout, `options.healthCheckTimeout`, so that a host not answering at all does not hold it forever.
+ *
+ * @param {String} host - `host:port`
+ * @param {Function} callback(err,obj)
+ *
+ * @api private
+ */
+
+Transport.prototype.ping = function(host,callback){
+   var path = [this.options.path,this.options.core,'admin/ping?wt=json']
+      .filter(function(element){
+         if(element) return true;
+         return false;
+      })
+      .join('/');
+   var timeout = this.options.healthCheckTimeout || 5000;
+   this.send(host,{ path : path, connectTimeout : timeout, responseTimeout : timeout },false,callback);
+}
+
+/**
+ * Ask the authentication provider for the headers of a request
+ *
+ * @param {Object} context - `{ host : String, method : String, path : String, refresh : Boolean }`
+ * @param {Function} callback(err,headers)
+ *
+ * @api private
+ */
+
+Transport.prototype.authenticate = function(context,callback){
+   if(!this.options.auth) return callback(null,null);
+   callbackUtil.invoke(this.options.auth,[context],callback);
+}
+
+/**
+ * Get the agent managing the sockets, the one given in the options or the one created by the transport.
+ * Hosts reached through a proxy get an agent of their own for each proxy.
+ *
+ * @param {String} [host] - `host:port` of the target
+ *
+ * @return {http.Agent|Boolean}
+ * @api private
+ */
+
+Transport.prototype.getAgent = function(host){
+   if(this.options.agent !== undefined) return this.options.agent;
+   var secure = this.options.protocol === 'https';
+   var options = { keepAlive : !!this.options.keepAlive };
+   if(this.options.maxSockets) options.maxSockets = this.options.maxSockets;
+   var proxyUrl = host ? proxy.resolve(this.options.proxy,this.options.protocol,host) : null;
+   if(proxyUrl){
+      if(!this.proxyAgents[proxyUrl]) this.proxyAgents[proxyUrl] = proxy.createAgent(proxyUrl,secure,options);
+      return this.proxyAgents[proxyUrl];
+   }
+   if(!this.agent){
+      var Agent = secure ? https.Agent : http.Agent;
+      this.agent = new Agent(options);
+   }
+   return this.agent;
+}
+
+/**
+ * Count the sockets of the agents: open (`active` + `idle`), in use, idle, and requests waiting for a socket.
+ *
+ * @return {Object} - `{ open : Number, active : Number, idle : Number, queued : Number }`
+ * @api private
+ */
+
+Transport.prototype.getPoolStats = function(){
+   var self = this;
+   var stats = { open : 0, active : 0, idle : 0, queued : 0 };
+   var agents = Object.keys(this.proxyAgents).map(function(proxyUrl){
+      return self.proxyAgents[proxyUrl];
+   });
+   agents.push(this.getAgent());
+   agents.forEach(function(agent){
+      if(!agent) return;
+      stats.active += count(agent.sockets);
+      stats.idle += count(agent.freeSockets);
+      stats.queued += count(agent.requests);
+   });
+   stats.open = stats.active + stats.idle;
+   return stats;
+}
+
+/**
+ * Destroy the sockets of the agents created by the transport and stop the health check of the dead hosts
+ *
+ * @api private
+ */
+
+Transport.prototype.close = function(){
+   var self = this;
+   this.pool.stopHealthCheck();
+   if(this.agent){
+      this.agent.destroy();
+      this.agent = null;
+   }
+   Object.keys(this.proxyAgents).forEach(function(proxyUrl){
+      self.proxyAgents[proxyUrl].destroy();
+   });
+   this.proxyAgents = {};
+}
+
+/**
+ * Build the headers of a request
+ *
+ * @param {Object} params - see `Transport#request()`
+ * @param {Object} [authHeaders] - headers given by the authentication provider
+ *
+ * @return {Object}
+ * @api private
+ */
+
+Transport.prototype.buildHeaders = function(params,authHeaders){
+   var headers = {};
+   if(params.contentType){
+      headers['content-type'] = params.contentType;
+   }
+   if(this.options.decompress !== false){
+      headers['accept-encoding'] = 'gzip, deflate';
+   }
+   if(typeof params.body === 'string'){
+      headers['content-length'] = Buffer.byteLength(params.body);
+   }else if(Buffer.isBuffer(params.body)){
+      headers['content-length'] = params.body.length;
+   }
+   if(authHeaders){
+      Object.keys(authHeaders).forEach(function(name){
+         headers[name.toLowerCase()] = authHeaders[name];
+      });
+   }
+   if(params.headers){
+      Object.keys(params.headers).forEach(function(name){
+         headers[name.toLowerCase()] = params.headers[name];
+      });
+   }
+   return headers;
+}
+
+/**
+ * Read the response of the Solr server, decompress it and deserialize it.
+ * The body is collected as `Buffer`s and decoded once with the charset of the response, UTF-8 by default.
+ * With `params.parser` or `options.streamParse`, a successful response is parsed as it comes instead of being buffered.
+ * Any status code other than 200 gives a `SolrError`, or one of its subclasses, see `errors.fromResponse()`.
+ *
+ * @param {http.IncomingMessage} res
+ * @param {String} host - `host:port` of the Solr server
+ * @param {Object} params - see `Transport#request()`
+ * @param {Function} callback(err,obj)
+ *
+ * @api private
+ */
+
+Transport.prototype.decode = function(res,host,params,callback){
+   var chunks = [];
+   var stream = res;
+   var encoding = (res.headers['content-encoding'] || '').trim().toLowerCase();
+   var charset = getCharset(res.headers['content-type']);
+   if(encoding === 'gzip' || encoding === 'x-gzip'){
+      stream = res.pipe(zlib.createGunzip());
+   }else if(encoding === 'deflate'){
+      stream = res.pipe(zlib.createInflate());
+   }
+   res.on('error',function(err){
+      callback(new SolrConnectionError(err,host,params.path),null);
+   });
+   if(stream !== res){
+      stream.on('error',function(err){
+         callback(invalidResponse(res.statusCode,err,host,params.path),null);
+      });
+   }
+   if(res.statusCode === 200 && !params.raw && (params.parser || this.options.streamParse)){
+      return parseStream(stream,charset,params.parser,function(err,data){
+         callback(err && invalidResponse(res.statusCode,err,host,params.path),data);
+      });
+   }
+   stream.on('data',function(chunk){
+      chunks.push(chunk);
+   });
+   stream.on('end',function(){
+      var buffer = decodeBuffer(Buffer.concat(chunks),charset);
+      if(res.statusCode !== 200){
+         var body = buffer;
+         try{
+            body = JSON.parse(buffer);
+         }catch(e){
+         }
+         return callback(errors.fromResponse(res.statusCode,body,{ host : host, path : params.path }),null);
+      }
+      if(params.raw) return callback(null,buffer);
+      var data = null;
+      try{
+         data = JSON.parse(buffer);
+      }catch(error){
+         return callback(invalidResponse(res.statusCode,error,host,params.path),null);
+      }
+      callback(null,data);
+   });
+}
+
+/**
+ * Give the charset of a response from its content-type header
+ *
+ * @param {String} [contentType] - e.g.: `application/json; charset=UTF-8`
+ *
+ * @return {String} - charset in lower case, `utf-8` by default
+ * @api private
+ */
+
+function getCharset(contentType){
+   var match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType || '');
+   return match ? match[1].toLowerCase() : 'utf-8';
+}
+
+/**
+ * Turn `charset` into an encoding of `Buffer`
+ *
+ * @param {String} charset
+ *
+ * @return {String|null} - null if `Buffer` does not know `charset`
+ * @api private
+ */
+
+function toBufferEncoding(charset){
+   return BUFFER_ENCODINGS[charset] || null;
+}
+
+/**
+ * Decode the body of a response into a string, the byte order mark is left out
+ *
+ * @param {Buffer} buffer
+ * @param {String} charset
+ *
+ * @return {String}
+ * @api private
+ */
+
+function decodeBuffer(buffer,charset){
+   var encoding = toBufferEncoding(charset);
+   var str;
+   if(encoding){
+      str = buffer.toString(encoding);
+   }else if(typeof TextDecoder !== 'undefined'){
+      try{
+         str = new TextDecoder(charset).decode(buffer);
+      }catch(e){
+         str = buffer.toString('utf8');
+      }
+   }else{
+      str = buffer.toString('utf8');
+   }
+   return str.charCodeAt(0) === 0xFEFF ? str.slice(1) : str;
+}
+
+/**
+ * Parse the JSON body of a response as it comes.
+ * Without `parser`, the whole document is parsed and given to `callback`.
+ * With `parser`, the chunks are written into it and `callback` gets no data once it emitted all its values.
+ * The response is paused while `parser` is paused.
+ *
+ * @param {Stream} stream - decompressed body of the response
+ * @param {String} charset
+ * @param {Stream} [parser] - parser created by `jsonStream.parse()`
+ * @param {Function} callback(err,obj)
+ *
+ * @api private
+ */
+
+function parseStream(stream,charset,parser,callback){
+   var root = null;
+   var encoding = toBufferEncoding(charset) || 'utf8';
+   var decoder = encoding === 'utf8' ? null : new StringDecoder(encoding);
+   if(!parser){
+      parser = jsonStream.parse();
+      parser.on('data',function(data){
+         root = data;
+      });
+   }
+   parser.on('error',function(err){
+      callback(err,null);
+   });
+   parser.on('drain',function(){
+      stream.resume();
+   });
+   parser.on('end',function(){
+      callback(null,root);
+   });
+   stream.on('data',function(chunk){
+      if(parser.write(decoder ? decoder.write(chunk) : chunk) === false) stream.pause();
+   });
+   stream.on('end',function(){
+      if(decoder) parser.write(decoder.end());
+      parser.end();
+   });
+}
+
+/**
+ * Describe a request in the events emitted by the transport
+ *
+ * @param {Transport} transport
+ * @param {Object} params - see `Transport#request()`
+ * @param {String} host - `host:port`
+ * @param {Number} attempt - number of the attempt, starting from 1
+ *
+ * @return {Object}
+ * @api private
+ */
+
+function describe(transport,params,host,attempt){
+   return {
+      method : params.method || 'GET',
+      host : host,
+      core : params.core || transport.options.core,
+      path : params.path,
+      type : params.type || 'query',
+      attempt : attempt,
+      start : Date.now()
+   };
+}
+
+/**
+ * Find the QTime in a response of the Solr server
+ *
+ * @param {Object|String} data - deserialized response or raw body
+ *
+ * @return {Number|null}
+ * @api private
+ */
+
+function qtime(data){
+   if(data && data.responseHeader && data.responseHeader.QTime !== undefined) return data.responseHeader.QTime;
+   if(typeof data === 'string'){
+      var match = data.match(/"QTime":\s*(\d+)|name="QTime">(\d+)</);
+      if(match) return Number(match[1] || match[2]);
+   }
+   return null;
+}
+
+/**
+ * Count the items of lists grouped by host, as the agent keeps them
+ *
+ * @param {Object} [lists] - e.g.: `agent.sockets`
+ *
+ * @return {Number}
+ * @api private
+ */
+
+function count(lists){
+   return Object.keys(lists || {}).reduce(function(total,name){
+      return total + lists[name].length;
+   },0);
+}
+
+/**
+ * Create the error given when a request is cancelled
+ *
+ * @return {Error}
+ * @api private
+ */
+
+function abortError(){
+   var err = new Error('Request aborted');
+   err.name = 'AbortError';
+   err.code = 'ABORT_ERR';
+   return err;
+}
+
+/**
+ * Listen to the `abort` event of `signal`, an `AbortSignal` or an `EventEmitter`
+ *
+ * @param {AbortSignal|EventEmitter} signal
+ * @param {Function} listener
+ *
+ * @return {Function} - removes the listener
+ * @api private
+ */
+
+function onAbort(signal,listener){
+   if(typeof signal.addEventListener === 'function'){
+      signal.addEventListener('abort',listener);
+      return function(){
+         signal.removeEventListener('abort',listener);
+      };
+   }
+   signal.once('abort',listener);
+   return function(){
+      signal.removeListener('abort',listener);
+   };
+}
+
+/**
+ * Tell whether `err` means that the host can not be reached: the connection failed or was lost, or took too long to open.
+ * Errors coming with a response, or a response too slow, say nothing about the host being down.
+ *
+ * @param {Error} err
+ *
+ * @return {Boolean}
+ * @api private
+ */
+
+function unreachable(err){
+   return err instanceof SolrConnectionError || (err instanceof SolrTimeoutError && err.phase === 'connect');
+}
+
+/**
+ * Create the `SolrError` given when the body of a response can not be decompressed or parsed
+ *
+ * @param {Number} statusCode - HTTP status code of the response
+ * @param {Error} cause - error of the decompression or of the parser
+ * @param {String} host - `host:port` of the Solr server
+ * @param {String} [path] - path of the request
+ *
+ * @return {SolrError}
+ * @api private
+ */
+
+function invalidResponse(statusCode,cause,host,path){
+   var err = new SolrError(statusCode,null,{ host : host, path : path });
+   err.cause = cause;
+   err.message = 'Invalid response from ' + host + ': ' + cause.message;
+   return err;
+}
+
+/**
+ * Write `body` into `request` and end it
+ *
+ * @param {http.ClientRequest} request
+ * @param {String|Buffer|Stream} [body]
+ *
+ * @api private
+ */
+
+function writeBody(request,body){
+   if(body && typeof body.pipe === 'function'){
+      body.pipe(request);
+   }else{
+      if(body) request.write(body);
+      request.end();
+   }
+}
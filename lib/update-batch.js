@@ -0,0 +1,179 @@
+/**
+ * Load dependencies
+ */
+
+var format = require('./utils/format'),
+   version = require('./utils/version'),
+   commitUtil = require('./utils/commit'),
+   callbackUtil = require('./utils/callback'),
+   Query = require('./query');
+
+/**
+ * Expose `UpdateBatch`
+ */
+
+module.exports = exports = UpdateBatch;
+
+/**
+ * Create a new `UpdateBatch`. The commands are written in a single JSON object, one key per command,
+ * the same key is repeated for each command of the same kind since Solr runs them in the order they appear.
+ * @constructor
+ *
+ * @param {Client} client
+ *
+ * @return {UpdateBatch}
+ * @api private
+ */
+
+function UpdateBatch(client){
+   this.client = client;
+   this.commands = [];
+   this.error = null;
+}
+
+/**
+ * Add a document or a list of documents
+ *
+ * @param {Object|Array} docs
+ * @param {Object} [options] -
+ * @param {Number} [options.commitWithin] - time in milliseconds within which Solr commits the documents
+ * @param {Boolean} [options.overwrite=true] - if false, the documents having the same unique key are not replaced
+ *
+ * @return {UpdateBatch}
+ * @api public
+ */
+
+UpdateBatch.prototype.add = function(docs,options){
+   var self = this;
+   options = options || {};
+   docs = format.dateISOify(docs);
+   docs = Array.isArray(docs) ? docs : [docs];
+   try{
+      if(options.commitWithin !== undefined) commitUtil.check('commitWithin',options.commitWithin,'non-negative integer');
+      if(options.overwrite !== undefined) commitUtil.check('overwrite',options.overwrite,'boolean');
+   }catch(err){
+      this.error = this.error || err;
+      return self;
+   }
+   docs.forEach(function(doc){
+      var command = { doc : doc };
+      if(options.commitWithin !== undefined) command.commitWithin = options.commitWithin;
+      if(options.overwrite !== undefined) command.overwrite = options.overwrite;
+      self.push('add',command);
+   });
+   return self;
+}
+
+/**
+ * Delete the documents with the given ids
+ *
+ * @param {String|Number|Array} ids
+ *
+ * @return {UpdateBatch}
+ * @api public
+ */
+
+UpdateBatch.prototype.deleteById = function(ids){
+   var self = this;
+   ids = Array.isArray(ids) ? ids : [ids];
+   ids.forEach(function(id){
+      self.push('delete',{ id : id.toString() });
+   });
+   return self;
+}
+
+/**
+ * Delete the documents matching the given `query`
+ *
+ * @param {String|Expression|Query} query - a query string, an expression built with `solr.Q` or a `Query` turned into a delete query, see `Client#deleteByQuery()`
+ *
+ * @return {UpdateBatch}
+ * @api public
+ */
+
+UpdateBatch.prototype.deleteByQuery = function(query){
+   var self = this;
+   if(query instanceof Query){
+      try{
+         query = query.deleteQuery();
+      }catch(err){
+         this.error = this.error || err;
+         return self;
+      }
+   }
+   this.push('delete',{ query : String(query) });
+   return self;
+}
+
+/**
+ * Commit the commands given before
+ *
+ * @param {Object} [options] - `softCommit`, `waitSearcher`, `openSearcher` and `expungeDeletes`, see `Client#commit()`
+ *
+ * @return {UpdateBatch}
+ * @api public
+ */
+
+UpdateBatch.prototype.commit = function(options){
+   var self = this;
+   try{
+      this.push('commit',commitUtil.command(options || {},['softCommit','waitSearcher','openSearcher','expungeDeletes']));
+   }catch(err){
+      this.error = this.error || err;
+   }
+   return self;
+}
+
+/**
+ * Build the JSON body holding all the commands
+ *
+ * @return {String}
+ * @api private
+ */
+
+UpdateBatch.prototype.build = function(){
+   return '{' + this.commands.join(',') + '}';
+}
+
+/**
+ * Send all the commands to the Solr server in a single request
+ *
+ * @param {Object} [options] - options of `Client#update()`
+ * @param {Function} [callback(err,obj)] - a function executed when the Solr server responds or an error occurs
+ * @param {Error} callback().err - a `TypeError` when the options of a command are not valid
+ * @param {Object} callback().obj - JSON response sent by the Solr server deserialized
+ *
+ * @return {UpdateBatch|Promise} - a `Promise` resolved with the JSON response when no callback is given
+ * @api public
+ */
+
+UpdateBatch.prototype.send = function(options,callback){
+   var self = this;
+   if(typeof options === 'function'){
+      callback = options;
+      options = undefined;
+   }
+   var handler = callbackUtil.handle(callback);
+   if(this.error){
+      var error = this.error;
+      process.nextTick(function(){
+         handler.callback(error,null);
+      });
+   }else{
+      this.client.update(this.build(),options,handler.callback);
+   }
+   return handler.promise || self;
+}
+
+/**
+ * Append the command `name`
+ *
+ * @param {String} name - `add`, `delete` or `commit`
+ * @param {Object} command
+ *
+ * @api private
+ */
+
+UpdateBatch.prototype.push = function(name,command){
+   this.commands.push(JSON.stringify(name) + ':' + version.stringify(command));
+}
@@ -0,0 +1,75 @@
+/**
+ * Expose `handle()`
+ */
+
+exports.handle = handle;
+
+/**
+ * Wrap the optional `callback` given to a public method of the `Client`.
+ * When no callback is given, a `Promise` is created and the returned `callback` settles it.
+ *
+ * @param {Function} [callback] - callback given by the user
+ *
+ * @return {Object} - `{ callback : Function, promise : Promise|null }`
+ * @api private
+ *
+ * @example
+ * var handler = callback.handle(callback);
+ * this.update(data,options,handler.callback);
+ * return handler.promise || self;
+ */
+
+function handle(callback){
+   if(typeof callback === 'function'){
+      return { callback : callback, promise : null };
+   }
+   var handler = {};
+   handler.promise = new Promise(function(resolve,reject){
+      handler.callback = function(err,obj){
+         if(err) return reject(err);
+         resolve(obj);
+      };
+   });
+   return handler;
+};
+
+/**
+ * Expose `invoke()`
+ */
+
+exports.invoke = invoke;
+
+/**
+ * Call `fn` written either in the callback style or returning a `Promise` (or a value), and give its result to `callback`.
+ *
+ * @param {Function} fn - function called with `args` and a callback
+ * @param {Array} args - arguments given to `fn` before the callback
+ * @param {Function} callback(err,value) - executed once with the result of `fn`
+ *
+ * @api private
+ */
+
+function invoke(fn,args,callback){
+   var called = false;
+   function done(err,value){
+      if(called) return;
+      called = true;
+      callback(err || null,value);
+   }
+   var result;
+   try{
+      result = fn.apply(null,args.concat(done));
+   }catch(err){
+      if(called) throw err;
+      return done(err);
+   }
+   if(result && typeof result.then === 'function'){
+      result.then(function(value){
+         done(null,value);
+      },function(err){
+         done(err || new Error('Rejected without a reason'));
+      });
+   }else if(result !== undefined){
+      done(null,result);
+   }
+};
@@ -0,0 +1,100 @@
+/**
+ * Expose `command()`, `parameters()` and `check()`
+ */
+
+exports.command = command;
+exports.parameters = parameters;
+exports.check = check;
+
+/**
+ * Type of the options of the `commit` and `optimize` commands
+ */
+
+var TYPES = {
+   waitSearcher : 'boolean',
+   openSearcher : 'boolean',
+   softCommit : 'boolean',
+   expungeDeletes : 'boolean',
+   maxSegments : 'positive integer'
+};
+
+/**
+ * Give the options of a `commit` or `optimize` command found in `options`.
+ * `waitFlush` is left out, Solr does not know it since its version 4.
+ *
+ * @param {Object} options
+ * @param {Array} names - names of the options allowed
+ *
+ * @return {Object} - e.g.: `{ softCommit : true }`
+ * @throws {TypeError} - when an option has a wrong type
+ * @api private
+ */
+
+function command(options,names){
+   var data = {};
+   names.forEach(function(name){
+      if(options[name] === undefined) return;
+      check(name,options[name],TYPES[name]);
+      data[name] = options[name];
+   });
+   return data;
+}
+
+/**
+ * Give the query parameters of an update request: `commit`, and `commitWithin` and `softCommit` when they are set
+ *
+ * @param {Object} options
+ * @param {Boolean} [options.autoCommit] - commit once the update is done
+ * @param {Number} [options.commitWithin] - time in milliseconds within which Solr commits the update
+ * @param {Boolean} [options.softCommit] - make the update visible with a soft commit once it is done
+ * @param {Boolean} autoCommit - `autoCommit` of the client
+ *
+ * @return {String} - e.g.: `commit=false&commitWithin=10000`
+ * @throws {TypeError} - when an option has a wrong type
+ * @api private
+ */
+
+function parameters(options,autoCommit){
+   var params = ['commit=' + (options.autoCommit || autoCommit)];
+   if(options.commitWithin !== undefined){
+      check('commitWithin',options.commitWithin,'non-negative integer');
+      params.push('commitWithin=' + options.commitWithin);
+   }
+   if(options.softCommit !== undefined){
+      check('softCommit',options.softCommit,'boolean');
+      params.push('softCommit=' + options.softCommit);
+   }
+   return params.join('&');
+}
+
+/**
+ * Check that `value` has the `type` expected
+ *
+ * @param {String} name - name of the option
+ * @param {*} value
+ * @param {String} type - `boolean`, `positive integer` or `non-negative integer`
+ *
+ * @throws {TypeError}
+ * @api private
+ */
+
+function check(name,value,type){
+   var valid = false;
+   if(type === 'boolean') valid = typeof value === 'boolean';
+   else if(type === 'positive integer') valid = isInteger(value) && value > 0;
+   else if(type === 'non-negative integer') valid = isInteger(value) && value >= 0;
+   if(!valid) throw new TypeError('Invalid option "' + name + '": ' + JSON.stringify(value) + ' is not a ' + type);
+}
+
+/**
+ * True if `value` is an integer
+ *
+ * @param {*} value
+ *
+ * @return {Boolean}
+ * @api private
+ */
+
+function isInteger(value){
+   return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+}
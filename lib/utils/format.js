@@ -6,7 +6,7 @@ exports.dateISOify = dateISOify;
 exports.toISOString = toISOString;
 
 /**
- * ISOify `Date` objects (possibly in collections)
+ * ISOify `Date` objects (possibly in collections), at every depth, e.g.: in child documents
  *
  * @param {Array|Object} obj
  *
@@ -21,7 +21,7 @@ function dateISOify(obj){
       }
    }else if(obj instanceof Object && !(obj instanceof Date) ){
       for(var key in obj){
-         if( obj[key] instanceof Date ) obj[key] = toISOString(obj[key]);
+         obj[key] = dateISOify(obj[key]);
       }
    }else{
       if( obj instanceof Date ) obj = toISOString(obj);
@@ -0,0 +1,30 @@
+/**
+ * Load dependencies
+ */
+
+var JSONStream = require('JSONStream');
+
+/**
+ * Expose `parse()`
+ */
+
+exports.parse = parse;
+
+/**
+ * Create a stream parsing JSON as it comes and emitting the values found at `path`, see `JSONStream.parse()`.
+ * When no path is given, the whole document is emitted once parsed.
+ *
+ * @param {String|Array} [path] - e.g.: `response.docs.*` or `['response','docs',true]`
+ *
+ * @return {Stream}
+ * @api private
+ */
+
+function parse(path){
+   if(typeof path === 'string'){
+      path = path.split('.').map(function(key){
+         return key === '*' ? true : key;
+      });
+   }
+   return JSONStream.parse(path);
+}
@@ -0,0 +1,59 @@
+/**
+ * Load dependencies
+ */
+
+var format = require('./format');
+
+/**
+ * Expose `escape()`, `phrase()` and `term()`
+ */
+
+exports.escape = escape;
+exports.phrase = phrase;
+exports.term = term;
+
+/**
+ * Escape the special characters of the Lucene query syntax with a backslash:
+ * `+ - && || ! ( ) { } [ ] ^ " ~ * ? : \ /` and the whitespaces
+ *
+ * @param {String|Number} value
+ *
+ * @return {String}
+ * @api public
+ *
+ * @example
+ * solr.escape('C++ (2nd edition)'); // C\+\+\ \(2nd\ edition\)
+ */
+
+function escape(value){
+   return String(value).replace(/[\\+\-!():^[\]"{}~*?|&\/\s]/g,'\\$&');
+}
+
+/**
+ * Quote `value` into a phrase, escaping the quotes and backslashes it holds
+ *
+ * @param {String} value
+ *
+ * @return {String}
+ * @api private
+ */
+
+function phrase(value){
+   return '"' + String(value).replace(/[\\"]/g,'\\$&') + '"';
+}
+
+/**
+ * Turn `value` into a term matching it exactly: a value holding whitespaces (or an empty one) is quoted into a phrase, the special characters of other values are escaped.
+ * `Date` objects are formatted into strings understandable by Solr.
+ *
+ * @param {String|Number|Date} value
+ *
+ * @return {String}
+ * @api private
+ */
+
+function term(value){
+   value = String(format.dateISOify(value));
+   if(value === '' || /\s/.test(value)) return phrase(value);
+   return escape(value);
+}
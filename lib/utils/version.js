@@ -0,0 +1,49 @@
+/**
+ * Expose `expected()`, `parse()` and `stringify()`
+ */
+
+exports.expected = expected;
+exports.parse = parse;
+exports.stringify = stringify;
+
+/**
+ * Turn the version expected for a document into the `_version_` understood by Solr for optimistic concurrency
+ *
+ * @param {Boolean|Number|String} version - true if the document must exist, false if it must not exist, or its exact version
+ *
+ * @return {Number|String} - 1, -1 or the exact version
+ * @api private
+ */
+
+function expected(version){
+   if(version === true) return 1;
+   if(version === false) return -1;
+   return version;
+}
+
+/**
+ * Deserialize a JSON response of Solr, keeping the `_version_` fields as strings.
+ * Versions are 64-bit integers, they lose their last digits when they are turned into a `Number`.
+ *
+ * @param {String} body
+ *
+ * @return {Object}
+ * @api private
+ */
+
+function parse(body){
+   return JSON.parse(body.replace(/"_version_"\s*:\s*(-?\d+)/g,'"_version_":"$1"'));
+}
+
+/**
+ * Serialize `value` into JSON, writing the `_version_` fields given as strings as numbers
+ *
+ * @param {*} value
+ *
+ * @return {String}
+ * @api private
+ */
+
+function stringify(value){
+   return JSON.stringify(value).replace(/"_version_":"(-?\d+)"/g,'"_version_":$1');
+}
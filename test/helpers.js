@@ -0,0 +1,69 @@
+// Dependencies
+var solr = require('./../main'),
+   http = require('http');
+
+// Helpers shared by the suites running a local Solr server made with `http.createServer()`
+
+/**
+ * Create a client of the local `server`, which does not retry the requests failing unless `options.retry` is given
+ *
+ * @param {http.Server} server - server listening on 127.0.0.1
+ * @param {Object} [options] - options of `solr.createClient()`
+ *
+ * @return {Client}
+ */
+
+exports.createClient = function(server,options){
+   options = options || {};
+   options.host = '127.0.0.1';
+   options.port = server.address().port;
+   if(options.retry === undefined) options.retry = false;
+   return solr.createClient(options);
+}
+
+/**
+ * Start a local server recording the requests it receives, each with its `url`, `headers` and `body`, and give it to `callback` once it listens on 127.0.0.1
+ *
+ * @param {Function} [respond(req,res,body)] - answers a request once its body is read, with an empty response of Solr when not given
+ * @param {Function} callback(err,ctx) - `ctx` holds the `server` and the `requests` it received
+ */
+
+exports.createServer = function(respond,callback){
+   if(callback === undefined){
+      callback = respond;
+      respond = null;
+   }
+   var requests = [];
+   var server = http.createServer(function(req,res){
+      var body = '';
+      req.on('data',function(chunk){
+         body += chunk;
+      });
+      req.on('end',function(){
+         requests.push({ url : req.url, headers : req.headers, body : body });
+         if(respond) return respond(req,res,body);
+         res.end('{"responseHeader":{"status":0,"QTime":1}}');
+      });
+   });
+   server.listen(0,'127.0.0.1',function(){
+      callback(null,{ server : server, requests : requests });
+   });
+}
+
+/**
+ * Call `fn` with a client of the core `core` of the local server and give the requests received by this core to `callback`
+ *
+ * @param {Object} ctx - topic holding the `server` and the `requests` it received
+ * @param {String} core - name of the core, unique to the context
+ * @param {Function} fn(client,callback) - sends the requests with `client`
+ * @param {Function} callback(err,requests,res)
+ */
+
+exports.send = function(ctx,core,fn,callback){
+   var client = exports.createClient(ctx.server,{ core : core });
+   fn(client,function(err,res){
+      callback(err,ctx.requests.filter(function(request){
+         return request.url.indexOf('/' + core + '/') !== -1;
+      }),res);
+   });
+}
@@ -45,7 +45,7 @@ nock('http://127.0.0.1:8983')
   connection: 'close',
   server: 'Jetty(7.5.3.v20111011)' })
 
-  .post('/solr/update/json?commit=false&wt=json', "{\"delete\":{\"query\":\"title_t:Test title\"}}")
+  .post('/solr/update/json?commit=false&wt=json', "{\"delete\":{\"query\":\"title_t:\\\"Test title\\\"\"}}")
   .reply(200, "{\"responseHeader\":{\"status\":0,\"QTime\":3}}", { date: 'Sun, 06 May 2012 21:50:08 GMT',
   'content-type': 'application/json; charset=UTF-8',
   connection: 'close',
@@ -235,4 +235,31 @@ exports.createAddStream = function(nock){
   'content-type': 'application/json; charset=UTF-8',
   'transfer-encoding': 'chunked',
   server: 'Jetty(7.5.3.v20111011)' });
-}
\ No newline at end of file
+}
+exports.promise = function(nock){
+  nock('http://127.0.0.1:8983')
+  .get('/solr/admin/ping?wt=json')
+  .reply(200, "{\"responseHeader\":{\"status\":0,\"QTime\":1,\"params\":{\"echoParams\":\"all\",\"rows\":\"10\",\"echoParams\":\"all\",\"q\":\"solrpingquery\",\"qt\":\"search\",\"wt\":\"json\"}},\"status\":\"OK\"}", { date: 'Sun, 06 May 2012 21:50:08 GMT',
+  'content-type': 'application/json; charset=UTF-8',
+  connection: 'close',
+  server: 'Jetty(7.5.3.v20111011)' })
+
+  .post('/solr/update?commit=false', "{\"add\":{\"doc\":{\"id\":1234567896,\"title_t\":\"Test title\"}}}")
+  .reply(200, "{\"responseHeader\":{\"status\":0,\"QTime\":3}}", { date: 'Sun, 06 May 2012 21:50:07 GMT',
+  'content-type': 'application/json; charset=UTF-8',
+  connection: 'close',
+  server: 'Jetty(7.5.3.v20111011)' })
+
+  .post('/solr/update?commit=false', "{\"commit\":{}}")
+  .reply(200, "{\"responseHeader\":{\"status\":0,\"QTime\":460}}", { date: 'Sun, 06 May 2012 21:50:07 GMT',
+  'content-type': 'application/json; charset=UTF-8',
+  connection: 'close',
+  server: 'Jetty(7.5.3.v20111011)' })
+
+  .get('/solr/select?q=titl:laptop&wt=json')
+  .reply(400, "<html>\n<head>\n<meta http-equiv=\"Content-Type\" content=\"text/html; charset=ISO-8859-1\"/>\n<title>Error 400 undefined field titl</title>\n</head>\n<body><h2>HTTP ERROR 400</h2>\n<p>Problem accessing /solr/select. Reason:\n<pre>    undefined field titl</pre></p><hr /><i><small>Powered by Jetty://</small></i>\n</body>\n</html>\n", { date: 'Sun, 06 May 2012 21:50:08 GMT',
+  'content-type': 'text/html;charset=ISO-8859-1',
+  'cache-control': 'must-revalidate,no-cache,no-store',
+  connection: 'close',
+  server: 'Jetty(7.5.3.v20111011)' });
+}
@@ -0,0 +1,121 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: atomic updates');
+
+suite.addBatch({
+   'The operations of atomic updates' : {
+      topic : function(){
+         return solr.atomic;
+      },
+      'should give the modifiers understood by Solr' : function(atomic){
+         assert.deepEqual(atomic.set(10),{ set : 10 });
+         assert.deepEqual(atomic.set(null),{ set : null });
+         assert.deepEqual(atomic.add(['x','y']),{ add : ['x','y'] });
+         assert.deepEqual(atomic.addDistinct('x'),{ 'add-distinct' : 'x' });
+         assert.deepEqual(atomic.remove('x'),{ remove : 'x' });
+         assert.deepEqual(atomic.removeRegex([/^tmp-/,'old.*']),{ removeregex : ['^tmp-','old.*'] });
+         assert.deepEqual(atomic.inc(),{ inc : 1 });
+         assert.deepEqual(atomic.inc(-5),{ inc : -5 });
+      }
+   },
+   'A Solr server receiving atomic updates' : {
+      topic : function(){
+         helpers.createServer(function(req,res){
+            if(req.url.indexOf('/unavailable-') !== -1){
+               res.statusCode = 503;
+               return res.end('{}');
+            }
+            res.end('{"responseHeader":{"status":0,"QTime":1}}');
+         },this.callback);
+      },
+      'of a document' : {
+         topic : function(ctx){
+            var operations = {
+               price : solr.atomic.set(10),
+               tags : solr.atomic.add(['x']),
+               views : { inc : 1 },
+               last_update : solr.atomic.set(new Date('2012-05-01T21:50:08.309Z')),
+               dates : { add : [new Date('2012-05-02T21:50:08.309Z')] }
+            };
+            helpers.send(ctx,'single',function(client,callback){
+               client.atomicUpdate('sku-42',operations,callback);
+            },this.callback);
+         },
+         'should send the id and the operations only' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests[0].url,'/solr/single/update?commit=false');
+            assert.deepEqual(parseDocs(requests[0].body),[{
+               id : 'sku-42',
+               price : { set : 10 },
+               tags : { add : ['x'] },
+               views : { inc : 1 },
+               last_update : { set : '2012-05-01T21:50:08.309Z' },
+               dates : { add : ['2012-05-02T21:50:08.309Z'] }
+            }]);
+         }
+      },
+      'of a list of documents with a custom unique key' : {
+         topic : function(ctx){
+            var updates = [
+               { id : 1, operations : { stock : solr.atomic.inc(-1) } },
+               { id : 2, operations : { stock : solr.atomic.set(0), tags : solr.atomic.removeRegex(/^promo/) } }
+            ];
+            helpers.send(ctx,'batch',function(client,callback){
+               client.atomicUpdate(updates,{ uniqueKey : 'sku' }).then(function(res){
+                  callback(null,res);
+               },callback);
+            },this.callback);
+         },
+         'should send all the documents in one request' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests.length,1);
+            assert.deepEqual(parseDocs(requests[0].body),[
+               { sku : 1, stock : { inc : -1 } },
+               { sku : 2, stock : { set : 0 }, tags : { removeregex : '^promo' } }
+            ]);
+         }
+      },
+      'while unavailable' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var retry = { minDelay : 1, maxDelay : 1 };
+            helpers.createClient(ctx.server,{ core : 'unavailable-inc', retry : retry }).atomicUpdate('sku-42',{ views : solr.atomic.inc(1), tags : solr.atomic.set(['x']) },function(err){
+               var errors = [err];
+               helpers.createClient(ctx.server,{ core : 'unavailable-set', retry : retry }).atomicUpdate('sku-42',{ tags : solr.atomic.set(['x']), price : solr.atomic.remove(10) },function(err){
+                  errors.push(err);
+                  callback(null,{ errors : errors, requests : ctx.requests });
+               });
+            });
+         },
+         'should not send again an update incrementing or adding values' : function(err,ctx){
+            assert.equal(ctx.errors[0].statusCode,503);
+            assert.equal(ctx.requests.filter(function(request){
+               return request.url.indexOf('/unavailable-inc/') !== -1;
+            }).length,1);
+         },
+         'should send again an update setting or removing values' : function(err,ctx){
+            assert.equal(ctx.errors[1].statusCode,503);
+            assert.equal(ctx.requests.filter(function(request){
+               return request.url.indexOf('/unavailable-set/') !== -1;
+            }).length,3);
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
+
+// Macros
+
+function parseDocs(body){
+   return JSON.parse('[' + body.slice(1,-1).replace(/"add":\{"doc"/g,'{"doc"') + ']').map(function(add){
+      return add.doc;
+   });
+}
@@ -0,0 +1,108 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert'),
+   http = require('http');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: authentication providers');
+
+suite.addBatch({
+   'The basic provider' : {
+      topic : function(){
+         return solr.auth.basic('admin','passtest')({});
+      },
+      'should give a basic authorization header' : function(headers){
+         assert.equal(headers.authorization,'Basic ' + Buffer.from('admin:passtest').toString('base64'));
+      }
+   },
+   'The header provider' : {
+      'with a function' : {
+         topic : function(){
+            var provider = solr.auth.header('X-Api-Key',function(context){
+               return Promise.resolve(context.method + '-key');
+            });
+            provider({ method : 'POST' },this.callback);
+         },
+         'should give the header with the resolved value' : function(err,headers){
+            assert.isNull(err);
+            assert.deepEqual(headers,{ 'X-Api-Key' : 'POST-key' });
+         }
+      }
+   },
+   'The bearer provider' : {
+      topic : function(){
+         var callback = this.callback;
+         var calls = 0;
+         var provider = solr.auth.bearer(function(done){
+            calls++;
+            setTimeout(function(){
+               done(null,{ token : 'token' + calls, expiresIn : 60000 });
+            },10);
+         },{ refreshBefore : 1000 });
+         var results = [];
+         function collect(err,headers){
+            results.push(headers.authorization);
+            if(results.length === 2){
+               provider({},function(err,headers){
+                  results.push(headers.authorization);
+                  provider({ refresh : true },function(err,headers){
+                     results.push(headers.authorization);
+                     callback(null,{ results : results, calls : calls });
+                  });
+               });
+            }
+         }
+         provider({},collect);
+         provider({},collect);
+      },
+      'should fetch the token once for concurrent requests' : function(res){
+         assert.deepEqual(res.results.slice(0,2),['Bearer token1','Bearer token1']);
+      },
+      'should cache the token until it expires' : function(res){
+         assert.equal(res.results[2],'Bearer token1');
+      },
+      'should fetch a new token when asked to refresh' : function(res){
+         assert.equal(res.results[3],'Bearer token2');
+         assert.equal(res.calls,2);
+      }
+   },
+   'A client with an auth provider' : {
+      topic : function(){
+         var callback = this.callback;
+         var received = [];
+         var server = http.createServer(function(req,res){
+            received.push(req.headers.authorization);
+            res.statusCode = req.headers.authorization === 'Bearer fresh' ? 200 : 401;
+            res.end('{"responseHeader":{"status":0,"QTime":1}}');
+         });
+         server.listen(0,'127.0.0.1',function(){
+            callback(null,{ server : server, received : received });
+         });
+      },
+      'answered with a 401' : {
+         topic : function(ctx){
+            var tokens = ['stale','fresh'];
+            var client = helpers.createClient(ctx.server,{
+               auth : solr.auth.bearer(function(done){
+                  done(null,tokens.shift());
+               })
+            });
+            var callback = this.callback;
+            client.ping(function(err,res){
+               callback(err,{ res : res, received : ctx.received });
+            });
+         },
+         'should send the request again with refreshed credentials' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.res.responseHeader.status,0);
+            assert.deepEqual(ctx.received,['Bearer stale','Bearer fresh']);
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
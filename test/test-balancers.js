@@ -0,0 +1,168 @@
+// Dependencies 
+var balancers = require('./../lib/balancers'),
+   HostPool = require('./../lib/host-pool'),
+   solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client: load-balancing strategies');
+
+var hosts = [
+   { host : 'a:8983', weight : 3, local : false, outstanding : 2 },
+   { host : 'b:8983', weight : 1, local : true, outstanding : 0 },
+   { host : 'c:8983', weight : 0, local : false, outstanding : 1 }
+];
+
+suite.addBatch({
+   'The round-robin strategy' : {
+      topic : function(){
+         var pick = balancers.roundRobin();
+         return [pick(hosts),pick(hosts),pick(hosts),pick(hosts)];
+      },
+      'should pick each host in turn' : function(picked){
+         assert.deepEqual(picked.map(name),['a:8983','b:8983','c:8983','a:8983']);
+      }
+   },
+   'The least-outstanding-requests strategy' : {
+      topic : function(){
+         return balancers.leastOutstanding()(hosts);
+      },
+      'should pick the host with the fewest requests in flight' : function(host){
+         assert.equal(host.host,'b:8983');
+      }
+   },
+   'The weighted strategy' : {
+      topic : function(){
+         var pick = balancers.weighted();
+         var picked = [];
+         for(var i = 0; i < 100; i++) picked.push(pick(hosts).host);
+         return picked;
+      },
+      'should never pick a host with a weight of 0' : function(picked){
+         assert.equal(picked.indexOf('c:8983'),-1);
+      }
+   },
+   'The prefer-local strategy' : {
+      'when a local host is available' : {
+         topic : function(){
+            return balancers.preferLocal()(hosts);
+         },
+         'should pick it' : function(host){
+            assert.equal(host.host,'b:8983');
+         }
+      },
+      'when no local host is available' : {
+         topic : function(){
+            return balancers.preferLocal()([hosts[0]]);
+         },
+         'should fall back to a remote host' : function(host){
+            assert.equal(host.host,'a:8983');
+         }
+      }
+   },
+   'An unknown strategy' : {
+      topic : function(){
+         try{
+            balancers.create('fastest');
+         }catch(err){
+            return err;
+         }
+      },
+      'should throw an error' : function(err){
+         assert.instanceOf(err,Error);
+         assert.match(err.message,/fastest/);
+      }
+   },
+   'A host pool' : {
+      'with a strategy for queries and another one for updates' : {
+         topic : function(){
+            var pool = new HostPool(['a:8983',{ host : 'b:8983', weight : 2 },'c:8983'],{
+               balancer : {
+                  query : 'roundRobin',
+                  update : 'primary'
+               }
+            });
+            return pool;
+         },
+         'should spread the queries over all the hosts' : function(pool){
+            assert.deepEqual([pool.getHost('query'),pool.getHost('query'),pool.getHost('query')],['a:8983','b:8983','c:8983']);
+         },
+         'should send the updates to the first host' : function(pool){
+            assert.equal(pool.getHost('update'),'a:8983');
+            assert.equal(pool.getHost('update'),'a:8983');
+         },
+         'should send the updates to the next host when the first one is dead' : function(pool){
+            pool.markDead('a:8983');
+            pool.stopHealthCheck();
+            assert.equal(pool.getHost('update'),'b:8983');
+         }
+      },
+      'with a custom picker' : {
+         topic : function(){
+            var candidates = null;
+            var pool = new HostPool(['a:8983',{ host : 'b:8983', weight : 2, local : true }],{
+               balancer : function(hosts){
+                  candidates = hosts;
+                  return 'b:8983';
+               }
+            });
+            return { host : pool.getHost('update'), candidates : candidates };
+         },
+         'should use the host it picks' : function(topic){
+            assert.equal(topic.host,'b:8983');
+         },
+         'should give it the description of each host' : function(topic){
+            assert.deepEqual(topic.candidates[1],{ host : 'b:8983', weight : 2, local : true, outstanding : 0 });
+         }
+      }
+   },
+   'A client with a strategy for queries and another one for updates' : {
+      topic : function(){
+         helpers.createServer(this.callback);
+      },
+      'adding a remote resource' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var host = '127.0.0.1:' + ctx.server.address().port;
+            var picked = [];
+            var client = solr.createClient({
+               hosts : [host],
+               retry : false,
+               balancer : {
+                  query : function(){
+                     picked.push('query');
+                     return host;
+                  },
+                  update : function(){
+                     picked.push('update');
+                     return host;
+                  }
+               }
+            });
+            client.addRemoteResource({ path : 'http://example.com/docs.json', format : 'json' },function(err){
+               callback(err,{ picked : picked, requests : ctx.requests });
+            });
+         },
+         'should pick the host with the strategy for updates' : function(err,ctx){
+            assert.isNull(err);
+            assert.deepEqual(ctx.picked,['update']);
+         },
+         'should send the command to the update handler of the core' : function(err,ctx){
+            assert.match(ctx.requests[0].url,/^\/solr\/update\/json\?/);
+            assert.match(ctx.requests[0].url,/stream\.url=http%3A%2F%2Fexample\.com%2Fdocs\.json/);
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
+
+// Macros
+
+function name(host){
+   return host.host;
+}
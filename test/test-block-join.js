@@ -0,0 +1,111 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert'),
+   url = require('url');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: nested child documents');
+
+var PRODUCT = {
+   id : 'p1',
+   type : 'product',
+   name : 'T-shirt',
+   _childDocuments_ : [
+      { id : 'p1-red', type : 'variant', color : 'red', released : new Date('2012-05-01T21:50:08.309Z') },
+      { id : 'p1-blue', type : 'variant', color : 'blue', released : new Date('2012-05-02T21:50:08.309Z') }
+   ]
+};
+
+suite.addBatch({
+   'A query' : {
+      'searching the parents of matching child documents' : {
+         topic : function(){
+            return solr.createClient().createQuery().parent('type:product','color:red').build();
+         },
+         'should use the `parent` query parser' : function(parameters){
+            assert.equal(decodeURIComponent(parameters),'q={!parent which=type:product}color:red');
+         }
+      },
+      'searching the parents with a score and a quoted filter' : {
+         topic : function(){
+            return solr.createClient().createQuery().q('name:shirt').parent('type:"product line"','color:red',{ filter : true, score : 'max' }).build();
+         },
+         'should quote the local parameter and use a filter query' : function(parameters){
+            assert.equal(decodeURIComponent(parameters),'q=name:shirt&fq={!parent which="type:\\"product line\\"" score=max}color:red');
+         }
+      },
+      'searching the children of matching parent documents' : {
+         topic : function(){
+            return solr.createClient().createQuery().child('type:product','brand:acme').build();
+         },
+         'should use the `child` query parser' : function(parameters){
+            assert.equal(decodeURIComponent(parameters),'q={!child of=type:product}brand:acme');
+         }
+      },
+      'returning child documents' : {
+         topic : function(){
+            return solr.createClient().createQuery().q('*:*').childDocs({ parentFilter : 'type:product', childFilter : 'color:red OR color:blue', limit : 5, fl : ['id','color'] }).build();
+         },
+         'should add the `[child]` document transformer to the fields returned' : function(parameters){
+            assert.equal(decodeURIComponent(parameters),'q=*:*&fl=*,[child parentFilter=type:product childFilter="color:red OR color:blue" limit=5 fl=id,color]');
+         }
+      }
+   },
+   'A Solr server indexing blocks of documents' : {
+      topic : function(){
+         helpers.createServer(function(req,res,body){
+            if(req.url.indexOf('/select?') !== -1){
+               return res.end(JSON.stringify({
+                  responseHeader : { status : 0 },
+                  response : { numFound : 1, start : 0, docs : [{ id : 'p1', _childDocuments_ : [{ id : 'p1-red', color : 'red' }] }] }
+               }));
+            }
+            res.end('{"responseHeader":{"status":0,"QTime":1}}');
+         },this.callback);
+      },
+      'adding a product with its variants' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            helpers.createClient(ctx.server,{ core : 'add' }).add(PRODUCT,function(err){
+               callback(err,ctx.requests.filter(function(request){
+                  return request.url.indexOf('/add/') !== -1;
+               })[0]);
+            });
+         },
+         'should send the child documents within their parent' : function(err,request){
+            assert.isNull(err);
+            var doc = JSON.parse(request.body).add.doc;
+            assert.equal(doc.id,'p1');
+            assert.equal(doc._childDocuments_.length,2);
+            assert.equal(doc._childDocuments_[1].released,'2012-05-02T21:50:08.309Z');
+         }
+      },
+      'searched with the child documents' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var client = helpers.createClient(ctx.server,{ core : 'search' });
+            var query = client.createQuery().parent('type:product','color:red').childDocs({ parentFilter : 'type:product' });
+            client.search(query,function(err,res){
+               var request = ctx.requests.filter(function(request){
+                  return request.url.indexOf('/search/') !== -1;
+               })[0];
+               callback(err,{ res : res, query : url.parse(request.url,true).query });
+            });
+         },
+         'should send the block join and the document transformer' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.query.q,'{!parent which=type:product}color:red');
+            assert.equal(ctx.query.fl,'*,[child parentFilter=type:product]');
+         },
+         'should give the nested documents' : function(err,ctx){
+            assert.deepEqual(ctx.res.response.docs[0]._childDocuments_,[{ id : 'p1-red', color : 'red' }]);
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
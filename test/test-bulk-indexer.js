@@ -0,0 +1,134 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert'),
+   Readable = require('stream').Readable;
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: bulk indexer');
+
+suite.addBatch({
+   'A Solr server slow to add documents' : {
+      topic : function(){
+         var callback = this.callback;
+         var state = { active : 0, maxActive : 0 };
+         helpers.createServer(function(req,res,body){
+            // Only the requests of the first context are counted, the contexts run side by side
+            var counted = req.url.indexOf('/one/') !== -1;
+            if(counted) state.active++;
+            state.maxActive = Math.max(state.maxActive,state.active);
+            setTimeout(function(){
+               if(counted) state.active--;
+               if(body.indexOf('unknownfield') !== -1){
+                  res.statusCode = 400;
+                  return res.end('{"error":{"msg":"ERROR: unknown field","code":400}}');
+               }
+               res.end('{"responseHeader":{"status":0,"QTime":1}}');
+            },20);
+         },function(err,ctx){
+            state.requests = ctx.requests;
+            callback(err,{ server : ctx.server, state : state });
+         });
+      },
+      'fed one document at a time' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var client = helpers.createClient(ctx.server,{ core : 'one' });
+            var indexer = client.createBulkIndexer({ batchSize : 10, concurrency : 2, commitWithin : 5000 });
+            var progress = [];
+            var held = false;
+            indexer.on('progress',function(batch,stats){
+               progress.push(batch);
+            });
+            indexer.on('summary',function(stats){
+               callback(null,{ stats : stats, progress : progress, held : held, state : ctx.state });
+            });
+            for(var i = 0; i < 45; i++){
+               if(!indexer.write({ id : i, title_t : 'Title ' + i, last_update : new Date('2012-05-01T21:50:08.309Z') })) held = true;
+            }
+            indexer.end();
+         },
+         'should send batches of `batchSize` documents' : function(err,ctx){
+            assert.isNull(err);
+            var requests = ctx.state.requests.filter(function(request){
+               return request.url.indexOf('/one/') !== -1;
+            });
+            assert.deepEqual(requests.map(function(request){ return request.body.match(/"add":/g).length; }),[10,10,10,10,5]);
+            assert.equal(requests[0].url,'/solr/one/update?commit=false&commitWithin=5000');
+            assert.match(requests[0].body,/"last_update":"2012-05-01T21:50:08.309Z"/);
+         },
+         'should keep at most `concurrency` requests in flight and hold the writer' : function(err,ctx){
+            assert.isTrue(ctx.state.maxActive <= 2);
+            assert.isTrue(ctx.held);
+         },
+         'should emit the progress of each batch and a summary' : function(err,ctx){
+            assert.equal(ctx.progress.length,5);
+            assert.equal(ctx.progress[4].docs,5);
+            assert.isNumber(ctx.progress[0].duration);
+            assert.equal(ctx.stats.docs,45);
+            assert.equal(ctx.stats.indexed,45);
+            assert.equal(ctx.stats.failed,0);
+            assert.equal(ctx.stats.batches,5);
+            assert.isTrue(ctx.stats.duration >= 20);
+            assert.isTrue(ctx.stats.batchDuration >= 100);
+         }
+      },
+      'fed by a readable stream with documents failing' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var client = helpers.createClient(ctx.server,{ core : 'stream' });
+            var docs = [];
+            for(var i = 0; i < 8; i++){
+               docs.push(i === 5 ? { id : i, unknownfield1 : 'x' } : { id : i, text_t : new Array(101).join('a') });
+            }
+            var source = new Readable({ objectMode : true });
+            source._read = function(){
+               this.push(docs.length ? docs.shift() : null);
+            };
+            var indexer = client.createBulkIndexer({ maxBytes : 250 });
+            indexer.on('summary',function(stats){
+               callback(null,stats);
+            });
+            source.pipe(indexer);
+         },
+         'should cut the batches by size and report the documents failing' : function(err,stats){
+            assert.isNull(err);
+            assert.equal(stats.batches,4);
+            assert.equal(stats.indexed,6);
+            assert.equal(stats.failed,2);
+            assert.deepEqual(stats.failures.map(function(failure){ return failure.id; }),[4,5]);
+            assert.instanceOf(stats.failures[0].error,solr.SolrBadRequestError);
+         }
+      },
+      'with `flushInterval` and `tolerant`' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var client = helpers.createClient(ctx.server,{ core : 'interval' });
+            var indexer = client.createBulkIndexer({ flushInterval : 10, tolerant : true });
+            indexer.write({ id : 1, title_t : 'One' });
+            indexer.write({ id : 2, unknownfield1 : 'Two' });
+            indexer.once('progress',function(batch,stats){
+               indexer.on('summary',function(stats){
+                  callback(null,{ batch : batch, stats : stats });
+               });
+               indexer.end();
+            });
+         },
+         'should send the incomplete batch once the interval is elapsed' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.batch.docs,2);
+            assert.equal(ctx.stats.batches,1);
+         },
+         'should report the documents rejected one by one' : function(err,ctx){
+            assert.equal(ctx.stats.indexed,1);
+            assert.equal(ctx.stats.failures.length,1);
+            assert.equal(ctx.stats.failures[0].id,2);
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
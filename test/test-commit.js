@@ -0,0 +1,122 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: commit options');
+
+suite.addBatch({
+   'A Solr server receiving updates' : {
+      topic : function(){
+         helpers.createServer(this.callback);
+      },
+      'committed softly' : {
+         topic : function(ctx){
+            helpers.send(ctx,'soft',function(client,callback){
+               client.commit({ softCommit : true, openSearcher : false, expungeDeletes : true, waitSearcher : false },callback);
+            },this.callback);
+         },
+         'should send the options of the `commit` command' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests[0].url,'/solr/soft/update?commit=false');
+            assert.deepEqual(JSON.parse(requests[0].body),{ commit : { softCommit : true, waitSearcher : false, openSearcher : false, expungeDeletes : true } });
+         }
+      },
+      'optimized' : {
+         topic : function(ctx){
+            helpers.send(ctx,'optimize',function(client,callback){
+               client.optimize({ maxSegments : 4, waitFlush : true, waitSearcher : true },callback);
+            },this.callback);
+         },
+         'should send `maxSegments` and leave out `waitFlush`' : function(err,requests){
+            assert.isNull(err);
+            assert.deepEqual(JSON.parse(requests[0].body),{ optimize : { maxSegments : 4, waitSearcher : true } });
+         }
+      },
+      'adding documents with `commitWithin`' : {
+         topic : function(ctx){
+            helpers.send(ctx,'within',function(client,callback){
+               client.add([{ id : 1 },{ id : 2 }],{ commitWithin : 10000, softCommit : true },callback);
+            },this.callback);
+         },
+         'should send `commitWithin` and `softCommit` as URL parameters' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests[0].url,'/solr/within/update?commit=false&commitWithin=10000&softCommit=true');
+         }
+      },
+      'deleting documents with `commitWithin`' : {
+         topic : function(ctx){
+            helpers.send(ctx,'delete',function(client,callback){
+               client.deleteByQuery('type:draft',{ commitWithin : 0 },callback);
+            },this.callback);
+         },
+         'should send `commitWithin` as URL parameter' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests[0].url,'/solr/delete/update?commit=false&commitWithin=0');
+         }
+      },
+      'adding documents with `autoCommit`' : {
+         topic : function(ctx){
+            helpers.send(ctx,'auto',function(client,callback){
+               client.autoCommit = true;
+               client.add([{ id : 1 },{ id : 2 }],callback);
+            },this.callback);
+         },
+         'should commit with the URL parameter and send valid JSON' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests[0].url,'/solr/auto/update?commit=true');
+            assert.equal(requests[0].body,'{"add":{"doc":{"id":1}},"add":{"doc":{"id":2}}}');
+         }
+      },
+      'adding documents to the bulk indexer with `commitWithin`' : {
+         topic : function(ctx){
+            helpers.send(ctx,'bulk',function(client,callback){
+               var indexer = client.createBulkIndexer({ commitWithin : 5000 });
+               indexer.on('summary',function(stats){
+                  callback(null,stats);
+               });
+               indexer.end({ id : 1 });
+            },this.callback);
+         },
+         'should send `commitWithin` with each batch' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests[0].url,'/solr/bulk/update?commit=false&commitWithin=5000');
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   },
+   'Options of commits not valid' : {
+      topic : function(){
+         var client = solr.createClient({ port : 1, retry : false });
+         var callback = this.callback;
+         var errors = [];
+         client.add({ id : 1 },{ commitWithin : -5 },function(err){
+            errors.push(err);
+            client.commit({ softCommit : 'yes' }).then(null,function(err){
+               errors.push(err);
+               client.optimize({ maxSegments : 0 },function(err){
+                  errors.push(err);
+                  client.add([{ id : 1 }],{ tolerant : true, commitWithin : 1.5 },function(err){
+                     errors.push(err);
+                     callback(null,errors);
+                  });
+               });
+            });
+         });
+      },
+      'should give a `TypeError` without sending the request' : function(err,errors){
+         assert.equal(errors.length,4);
+         errors.forEach(function(error){
+            assert.instanceOf(error,TypeError);
+         });
+         assert.equal(errors[0].message,'Invalid option "commitWithin": -5 is not a non-negative integer');
+         assert.equal(errors[1].message,'Invalid option "softCommit": "yes" is not a boolean');
+         assert.equal(errors[2].message,'Invalid option "maxSegments": 0 is not a positive integer');
+      }
+   }
+}).export(module);
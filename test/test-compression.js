@@ -0,0 +1,100 @@
+// Dependencies
+var helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert'),
+   http = require('http'),
+   zlib = require('zlib');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: compression');
+
+suite.addBatch({
+   'A Solr server compressing its responses' : {
+      topic : function(){
+         var callback = this.callback;
+         var server = http.createServer(function(req,res){
+            var chunks = [];
+            req.on('data',function(chunk){
+               chunks.push(chunk);
+            });
+            req.on('end',function(){
+               var body = Buffer.concat(chunks);
+               if(req.headers['content-encoding'] === 'gzip') body = zlib.gunzipSync(body);
+               var json = JSON.stringify({
+                  responseHeader : { status : 0, QTime : 1 },
+                  acceptEncoding : req.headers['accept-encoding'] || null,
+                  contentEncoding : req.headers['content-encoding'] || null,
+                  body : body.toString('utf8'),
+                  text : 'Ünïcødé'
+               });
+               var encoding = /deflate/.test(req.url) ? 'deflate' : 'gzip';
+               if(!req.headers['accept-encoding']) return res.end(json);
+               res.setHeader('content-encoding',encoding);
+               res.end(encoding === 'gzip' ? zlib.gzipSync(json) : zlib.deflateSync(json));
+            });
+         });
+         server.listen(0,'127.0.0.1',function(){
+            callback(null,server);
+         });
+      },
+      'queried with gzip' : {
+         topic : function(server){
+            helpers.createClient(server).search('q=*:*',this.callback);
+         },
+         'should accept gzip and deflate' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.acceptEncoding,'gzip, deflate');
+         },
+         'should decompress the response' : function(err,res){
+            assert.equal(res.text,'Ünïcødé');
+         }
+      },
+      'queried with deflate' : {
+         topic : function(server){
+            helpers.createClient(server).search('q=deflate',this.callback);
+         },
+         'should decompress the response' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.text,'Ünïcødé');
+         }
+      },
+      'queried without decompression' : {
+         topic : function(server){
+            helpers.createClient(server,{ decompress : false }).search('q=*:*',this.callback);
+         },
+         'should not accept compressed responses' : function(err,res){
+            assert.isNull(err);
+            assert.isNull(res.acceptEncoding);
+         }
+      },
+      'updated with a large body and `compressRequests`' : {
+         topic : function(server){
+            var docs = [];
+            for(var i = 0; i < 50; i++){
+               docs.push({ id : i, title_t : 'Title ' + i });
+            }
+            helpers.createClient(server,{ compressRequests : true }).add(docs,this.callback);
+         },
+         'should gzip the body' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.contentEncoding,'gzip');
+            assert.equal(res.body.match(/"add":/g).length,50);
+            assert.include(res.body,'"title_t":"Title 49"');
+         }
+      },
+      'updated with a small body and `compressRequests`' : {
+         topic : function(server){
+            helpers.createClient(server,{ compressRequests : true }).add({ id : 1 },this.callback);
+         },
+         'should send the body as it is' : function(err,res){
+            assert.isNull(err);
+            assert.isNull(res.contentEncoding);
+            assert.equal(res.body,'{"add":{"doc":{"id":1}}}');
+         }
+      },
+      teardown : function(server){
+         server.close();
+      }
+   }
+}).export(module);
@@ -0,0 +1,116 @@
+// Dependencies
+var solr = require('./../main'),
+   connectionString = require('./../lib/connection-string'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: connection strings');
+
+suite.addBatch({
+   'Parsing a connection string' : {
+      'with several hosts, credentials, a core and options' : {
+         topic : function(){
+            return connectionString.parse('solr+https://us%40er:p%3Ass@h1:8984,h2/solr/products?timeout=5000&keepAlive=true');
+         },
+         'should give the hosts with their port' : function(options){
+            assert.deepEqual(options.hosts,['h1:8984','h2:8983']);
+         },
+         'should give the protocol, the path and the core' : function(options){
+            assert.equal(options.protocol,'https');
+            assert.equal(options.path,'/solr');
+            assert.equal(options.core,'products');
+         },
+         'should give a basic auth provider' : function(options){
+            assert.equal(options.auth().authorization,'Basic ' + Buffer.from('us@er:p:ss').toString('base64'));
+         },
+         'should read the options' : function(options){
+            assert.strictEqual(options.timeout,5000);
+            assert.strictEqual(options.keepAlive,true);
+         }
+      },
+      'with a single segment in the path' : {
+         topic : function(){
+            return connectionString.parse('http://localhost:8983/solr');
+         },
+         'should give the path without core' : function(options){
+            assert.equal(options.protocol,'http');
+            assert.equal(options.path,'/solr');
+            assert.isUndefined(options.core);
+         }
+      },
+      'malformed' : {
+         topic : function(){
+            return ['ftp://h','solr://','solr://h:0','solr://h:abc','solr://user@h','solr://h?tmeout=1','solr://h?timeout=abc','solr://u:secret@h?keepAlive=maybe']
+               .map(function(str){
+                  try{
+                     connectionString.parse(str);
+                  }catch(err){
+                     return err.message;
+                  }
+                  return null;
+               });
+         },
+         'should throw an error explaining why' : function(messages){
+            assert.deepEqual(messages,[
+               'Invalid Solr connection string "ftp://h": unknown scheme "ftp"',
+               'Invalid Solr connection string "solr://": no host',
+               'Invalid Solr connection string "solr://h:0": invalid port in "h:0"',
+               'Invalid Solr connection string "solr://h:abc": invalid host "h:abc"',
+               'Invalid Solr connection string "solr://user@h": credentials must be user:password',
+               'Invalid Solr connection string "solr://h?tmeout=1": unknown option "tmeout"',
+               'Invalid Solr connection string "solr://h?timeout=abc": option "timeout" must be a number',
+               'Invalid Solr connection string "solr://u:***@h?keepAlive=maybe": option "keepAlive" must be true or false'
+            ]);
+         }
+      }
+   },
+   'Creating a client' : {
+      'with a connection string and options' : {
+         topic : function(){
+            return solr.createClient('solr://h1,h2:8080/solr/products?responseTimeout=100',{ core : 'users' });
+         },
+         'should use the options of the connection string' : function(client){
+            assert.deepEqual(client.options.hosts,['h1:8983','h2:8080']);
+            assert.equal(client.options.path,'/solr');
+            assert.equal(client.options.responseTimeout,100);
+         },
+         'should let the options override the connection string' : function(client){
+            assert.equal(client.options.core,'users');
+         }
+      },
+      'from SOLR_URL' : {
+         topic : function(){
+            return solr.createClient.fromEnv({ SOLR_URL : 'solr+https://h:8443/solr/products', SOLR_USERNAME : 'admin', SOLR_PASSWORD : 'secret' });
+         },
+         'should use the connection string and the credentials' : function(client){
+            assert.deepEqual(client.options.hosts,['h:8443']);
+            assert.equal(client.options.protocol,'https');
+            assert.equal(client.options.core,'products');
+            assert.equal(client.options.auth().authorization,'Basic ' + Buffer.from('admin:secret').toString('base64'));
+         }
+      },
+      'from SOLR_HOST and SOLR_PORT' : {
+         topic : function(){
+            return solr.createClient.fromEnv({ SOLR_HOST : 'solr.local', SOLR_PORT : '8080', SOLR_CORE : 'products' });
+         },
+         'should use them' : function(client){
+            assert.deepEqual(client.options.hosts,['solr.local:8080']);
+            assert.equal(client.options.core,'products');
+         }
+      },
+      'from an invalid SOLR_PORT' : {
+         topic : function(){
+            try{
+               solr.createClient.fromEnv({ SOLR_PORT : 'http' });
+            }catch(err){
+               return err;
+            }
+         },
+         'should throw an error' : function(err){
+            assert.equal(err.message,'Invalid SOLR_PORT: "http" is not a number');
+         }
+      }
+   }
+}).export(module);
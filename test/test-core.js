@@ -4,6 +4,7 @@ var nock = require('nock'),
    vows = require('vows'),
    assert = require('assert'),
    SolrError = require('./../lib/error/solr-error'),
+   SolrBadRequestError = require('./../lib/error/solr-bad-request-error'),
    mocks = require('./mocks')
    fs = require('fs');
 
@@ -59,6 +60,41 @@ suite.addBatch({
             assert.equal(client.options.host,'localhost');
          }
       },
+      'with the `secure` option' : {
+         topic : function(){
+            var client = solr.createClient({
+                host: 'localhost',
+                port: 8443,
+                secure: true,
+                rejectUnauthorized: false
+            });
+            return client;
+         },
+         'should use the HTTPS protocol' : function(client){
+            assertClient(client);
+            assert.equal(client.options.protocol,'https');
+            assert.strictEqual(client.options.rejectUnauthorized,false);
+         }
+      },
+      'with the `https` protocol' : {
+         topic : function(){
+            var client = solr.createClient({ protocol: 'https' });
+            return client;
+         },
+         'should use the HTTPS protocol' : function(client){
+            assert.equal(client.options.protocol,'https');
+         }
+      },
+      'with the `keepAlive` and `maxSockets` options' : {
+         topic : function(){
+            var client = solr.createClient({ keepAlive : true, maxSockets : 10 });
+            return client;
+         },
+         'should give the statistics of an empty connection pool' : function(client){
+            assert.deepEqual(client.getPoolStats(),{ open : 0, active : 0, idle : 0, queued : 0 });
+            assert.isTrue(client.transport.getAgent().keepAlive);
+         }
+      },
       'with custom host, post, core and path' : {
          topic : function(){
             var host = 'localhost';
@@ -389,7 +425,9 @@ function assertCorrectResponse(err,data){
 
 function assertSolrError(err,res){
    assert.instanceOf(err,SolrError);
-   assert.equal(err.name,'SolrError');
+   assert.instanceOf(err,SolrBadRequestError);
+   assert.equal(err.name,'SolrBadRequestError');
+   assert.equal(err.statusCode,400);
    assert.match(err.message,/^HTTP status [0-9]{3}\.Reason:[\s\S]+/)
    assert.isNull(res);
 }
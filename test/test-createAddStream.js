@@ -1,11 +1,12 @@
-// Dependencies 
-var nock = require('nock'), 
+// Dependencies
+var nock = require('nock'),
    solr = require('./../main'),
    vows = require('vows'),
    assert = require('assert'),
    fs = require('fs'),
    mocks = require('./mocks'),
-   JSONStream = require('JSONStream'),
+   helpers = require('./helpers'),
+   Readable = require('stream').Readable,
    EventEmitter = require('events').EventEmitter;
 
 // Load configuration file
@@ -18,12 +19,12 @@ if(config.mocked){
 }
 */
 
-if(!config.mocked){
-
 // Suite Test
 
 var suite = vows.describe('Solr Client API: createAddStream');
-            
+
+if(!config.mocked){
+
 suite.addBatch({
    'Adding documents through a stream' : {
       topic : function(){
@@ -31,13 +32,13 @@ suite.addBatch({
          var client = solr.createClient();
          client.autoCommit = true;
          var addStream = client.createAddStream();
-         var data = '';
+         var data = null;
          addStream
             .on('end',function(){
-               promise.emit('success',JSON.parse(data));
+               promise.emit('success',data);
             })
-            .on('data',function(buffer,encoding){
-               data += buffer.toString(encoding);
+            .on('data',function(res){
+               data = res;
             })
             .on('error',function(err){
                promise.emit('error',err);
@@ -54,6 +55,140 @@ suite.addBatch({
          assert.isNull(err);
       }
    }
-}).export(module);
+});
+
+}
 
-}
\ No newline at end of file
+suite.addBatch({
+   'A Solr server receiving a stream of documents' : {
+      topic : function(){
+         helpers.createServer(function(req,res,body){
+            if(req.url.indexOf('/silent/') !== -1) return;
+            if(body.indexOf('unknownfield') !== -1){
+               res.statusCode = 400;
+               return res.end('{"error":{"msg":"ERROR: [doc=2] unknown field","code":400}}');
+            }
+            res.setHeader('content-type','application/json');
+            res.end('{"responseHeader":{"status":0,"QTime":3}}');
+         },this.callback);
+      },
+      'piped from a readable stream' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var docs = [];
+            for(var i = 0; i < 100; i++){
+               docs.push({ id : i, title_t : 'Title ' + i, last_update : new Date('2012-05-01T21:50:08.309Z') });
+            }
+            var source = new Readable({ objectMode : true });
+            source._read = function(){
+               this.push(docs.length ? docs.shift() : null);
+            };
+            var results = [];
+            var addStream = helpers.createClient(ctx.server,{ core : 'piped' }).createAddStream({ commitWithin : 10000, commit : true });
+            addStream
+               .on('data',function(res){
+                  results.push(res);
+               })
+               .on('error',callback)
+               .on('end',function(){
+                  var request = ctx.requests.filter(function(request){
+                     return request.url.indexOf('/piped/') !== -1;
+                  })[0];
+                  callback(null,{ results : results, request : request });
+               });
+            source.pipe(addStream);
+         },
+         'should send all the documents in a single JSON array' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.request.url,'/solr/piped/update/json?commit=true&commitWithin=10000&wt=json');
+            assert.match(ctx.request.headers['content-type'],/^application\/json/);
+            var docs = JSON.parse(ctx.request.body);
+            assert.equal(docs.length,100);
+            assert.deepEqual(docs[99],{ id : 99, title_t : 'Title 99', last_update : '2012-05-01T21:50:08.309Z' });
+         },
+         'should give the response deserialized once' : function(err,ctx){
+            assert.equal(ctx.results.length,1);
+            assert.deepEqual(ctx.results[0],{ responseHeader : { status : 0, QTime : 3 } });
+         }
+      },
+      'ended without documents' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var addStream = helpers.createClient(ctx.server,{ core : 'empty' }).createAddStream();
+            addStream.on('data',function(res){
+               var request = ctx.requests.filter(function(request){
+                  return request.url.indexOf('/empty/') !== -1;
+               })[0];
+               callback(null,request);
+            });
+            addStream.end();
+         },
+         'should send an empty array' : function(err,request){
+            assert.isNull(err);
+            assert.equal(request.url,'/solr/empty/update/json?commit=false&wt=json');
+            assert.equal(request.body,'[]');
+         }
+      },
+      'with a document rejected' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var addStream = helpers.createClient(ctx.server).createAddStream();
+            addStream.on('error',function(err){
+               callback(null,err);
+            });
+            addStream.write({ id : 1, title_t : 'One' });
+            addStream.write({ id : 2, unknownfield1 : 'Two' });
+            addStream.end();
+         },
+         'should emit a `SolrError`' : function(err,error){
+            assert.instanceOf(error,solr.SolrBadRequestError);
+            assert.equal(error.msg,'ERROR: [doc=2] unknown field');
+         }
+      },
+      'written slower than the response timeout' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var addStream = helpers.createClient(ctx.server,{ core : 'slow', timeout : 300 }).createAddStream();
+            var results = [];
+            addStream
+               .on('data',function(res){
+                  results.push(res);
+               })
+               .on('error',callback)
+               .on('end',function(){
+                  callback(null,results);
+               });
+            var i = 0;
+            (function write(){
+               if(i === 8) return addStream.end();
+               addStream.write({ id : i++ });
+               setTimeout(write,100);
+            })();
+         },
+         'should wait for the response once the documents are all written' : function(err,results){
+            assert.isNull(err);
+            assert.equal(results.length,1);
+            assert.equal(results[0].responseHeader.status,0);
+         }
+      },
+      'not answered in time once written' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var addStream = helpers.createClient(ctx.server,{ core : 'silent', responseTimeout : 200 }).createAddStream();
+            addStream.on('error',function(err){
+               callback(null,err);
+            });
+            addStream.write({ id : 1 });
+            setTimeout(function(){
+               addStream.end({ id : 2 });
+            },300);
+         },
+         'should emit a `SolrTimeoutError`' : function(err,error){
+            assert.instanceOf(error,solr.SolrTimeoutError);
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
@@ -0,0 +1,166 @@
+// Dependencies
+var helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert'),
+   http = require('http'),
+   zlib = require('zlib');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: decoding of responses');
+
+var TITLE = '中文テキスト – café';
+
+suite.addBatch({
+   'A Solr server sending responses in several chunks' : {
+      topic : function(){
+         var callback = this.callback;
+         var server = http.createServer(function(req,res){
+            if(req.url.indexOf('q=latin1') !== -1){
+               res.setHeader('content-type','application/json; charset=ISO-8859-1');
+               return res.end(Buffer.from('{"response":{"docs":[{"title":"café"}]}}','latin1'));
+            }
+            if(req.url.indexOf('q=escaped') !== -1){
+               res.setHeader('content-type','application/json; charset=UTF-8');
+               return res.end('{"response":{"docs":[{"title":"caf\\u00e9 \\u00ff","body":"café"}]}}');
+            }
+            if(req.url.indexOf('q=many') !== -1){
+               var many = [];
+               for(var j = 0; j < 500; j++){
+                  many.push({ id : j });
+               }
+               return res.end(JSON.stringify({ response : { numFound : 500, docs : many } }));
+            }
+            if(req.url.indexOf('q=broken') !== -1){
+               res.statusCode = 400;
+               return res.end('{"error":{"msg":"undefined field"}}');
+            }
+            var docs = [];
+            for(var i = 0; i < 3; i++){
+               docs.push({ id : i, title : TITLE });
+            }
+            var body = Buffer.from(JSON.stringify({ responseHeader : { status : 0 }, response : { numFound : 3, docs : docs } }),'utf8');
+            res.setHeader('content-type','application/json; charset=UTF-8');
+            if(req.headers['accept-encoding'] && req.url.indexOf('q=gzip') !== -1){
+               res.setHeader('content-encoding','gzip');
+               body = zlib.gzipSync(body);
+            }
+            // Send the body 7 bytes at a time so that multi-byte characters are cut in the middle
+            (function write(offset){
+               if(offset >= body.length) return res.end();
+               res.write(body.slice(offset,offset + 7));
+               setImmediate(write,offset + 7);
+            })(0);
+         });
+         server.listen(0,'127.0.0.1',function(){
+            callback(null,server);
+         });
+      },
+      'searched' : {
+         topic : function(server){
+            helpers.createClient(server).search('q=*:*',this.callback);
+         },
+         'should decode multi-byte characters cut between chunks' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.response.docs[2].title,TITLE);
+         }
+      },
+      'searched with a latin1 response' : {
+         topic : function(server){
+            helpers.createClient(server).search('q=latin1',this.callback);
+         },
+         'should decode the response with its charset' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.response.docs[0].title,'café');
+         }
+      },
+      'searched with `streamParse`' : {
+         topic : function(server){
+            helpers.createClient(server,{ streamParse : true }).search('q=*:*',this.callback);
+         },
+         'should give the whole response' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.response.numFound,3);
+            assert.equal(res.response.docs[0].title,TITLE);
+         }
+      },
+      'searched with `streamParse` and `\\u00XX` escapes' : {
+         topic : function(server){
+            helpers.createClient(server,{ streamParse : true }).search('q=escaped',this.callback);
+         },
+         'should keep the Latin-1 characters' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.response.docs[0].title,'caf\u00e9 \u00ff');
+            assert.equal(res.response.docs[0].body,'café');
+         }
+      },
+      'searched with `streamParse` and a latin1 response' : {
+         topic : function(server){
+            helpers.createClient(server,{ streamParse : true }).search('q=latin1',this.callback);
+         },
+         'should decode the response with its charset' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.response.docs[0].title,'café');
+         }
+      },
+      'streamed' : {
+         topic : function(server){
+            var callback = this.callback;
+            var docs = [];
+            helpers.createClient(server).createSearchStream('q=gzip')
+               .on('data',function(doc){
+                  docs.push(doc);
+               })
+               .on('error',callback)
+               .on('end',function(){
+                  callback(null,docs);
+               });
+         },
+         'should emit each document' : function(err,docs){
+            assert.isNull(err);
+            assert.equal(docs.length,3);
+            assert.deepEqual(docs[1],{ id : 1, title : TITLE });
+         }
+      },
+      'streamed to a slow reader' : {
+         topic : function(server){
+            var callback = this.callback;
+            var stream = helpers.createClient(server).createSearchStream('q=many');
+            var docs = [];
+            stream.on('error',callback);
+            setTimeout(function(){
+               var buffered = stream._readableState.length + stream._writableState.length;
+               stream.on('data',function(doc){
+                  docs.push(doc);
+               });
+               stream.on('end',function(){
+                  callback(null,{ buffered : buffered, docs : docs });
+               });
+            },100);
+         },
+         'should hold the documents not read yet in the response' : function(err,ctx){
+            assert.isNull(err);
+            assert.isTrue(ctx.buffered <= 32);
+         },
+         'should emit all the documents once read' : function(err,ctx){
+            assert.equal(ctx.docs.length,500);
+            assert.equal(ctx.docs[499].id,499);
+         }
+      },
+      'streamed with an error' : {
+         topic : function(server){
+            var callback = this.callback;
+            helpers.createClient(server).createSearchStream('q=broken')
+               .on('error',function(err){
+                  callback(null,err);
+               });
+         },
+         'should emit the error' : function(err){
+            assert.equal(err.statusCode,400);
+         }
+      },
+      teardown : function(server){
+         server.close();
+      }
+   }
+}).export(module);
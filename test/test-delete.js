@@ -0,0 +1,155 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   lucene = require('./../lib/utils/lucene'),
+   vows = require('vows'),
+   assert = require('assert'),
+   url = require('url');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: deletions');
+
+suite.addBatch({
+   'Escaping a value' : {
+      'holding special characters' : {
+         topic : function(){
+            return lucene.escape('a+b-c:(d)/e*f?"g"\\h');
+         },
+         'should escape each of them with a backslash' : function(value){
+            assert.equal(value,'a\\+b\\-c\\:\\(d\\)\\/e\\*f\\?\\"g\\"\\\\h');
+         }
+      },
+      'holding whitespaces' : {
+         topic : function(){
+            return lucene.term('Test "quoted" title');
+         },
+         'should quote it into a phrase' : function(value){
+            assert.equal(value,'"Test \\"quoted\\" title"');
+         }
+      },
+      'being a date' : {
+         topic : function(){
+            return lucene.term(new Date('2012-05-01T21:50:08.309Z'));
+         },
+         'should format it and escape the colons' : function(value){
+            assert.equal(value,'2012\\-05\\-01T21\\:50\\:08.309Z');
+         }
+      }
+   },
+   'A Solr server receiving deletions' : {
+      topic : function(){
+         helpers.createServer(function(req,res,body){
+            if(req.url.indexOf('/select?') !== -1){
+               return res.end('{"responseHeader":{"status":0,"QTime":1},"response":{"numFound":3,"start":0,"docs":[]}}');
+            }
+            res.end('{"responseHeader":{"status":0,"QTime":1}}');
+         },this.callback);
+      },
+      'by a field holding a phrase' : {
+         topic : function(ctx){
+            helpers.send(ctx,'field',function(client,callback){
+               client.delete('title_t','Test: title',callback);
+            },this.callback);
+         },
+         'should quote the value' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests[0].body,'{"delete":{"query":"title_t:\\"Test: title\\""}}');
+         }
+      },
+      'by several ids' : {
+         topic : function(ctx){
+            helpers.send(ctx,'ids',function(client,callback){
+               client.deleteByIDs(['sku-1',2,'sku 3'],{ commitWithin : 1000 },callback);
+            },this.callback);
+         },
+         'should send a `delete` command per id in a single request' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(requests.length,1);
+            assert.equal(requests[0].url,'/solr/ids/update?commit=false&commitWithin=1000');
+            assert.equal(requests[0].body,'{"delete":{"id":"sku-1"},"delete":{"id":"2"},"delete":{"id":"sku 3"}}');
+         }
+      },
+      'by a `Query`' : {
+         topic : function(ctx){
+            helpers.send(ctx,'query',function(client,callback){
+               client.deleteByQuery(client.createQuery().q('type:draft').matchFilter('author','remy').rows(10),callback);
+            },this.callback);
+         },
+         'should delete the documents matching all its clauses' : function(err,requests){
+            assert.isNull(err);
+            assert.deepEqual(JSON.parse(requests[0].body),{ 'delete' : { query : '(type:draft) AND (author:remy)' } });
+         }
+      },
+      'by a `Query` matching fields and values' : {
+         topic : function(ctx){
+            helpers.send(ctx,'typed',function(client,callback){
+               client.deleteByQuery(client.createQuery().q({ title_t : 'Test title' }).matchFilter('cat','Home Garden').rangeFilter({ field : 'price', start : 10, end : '*' }),callback);
+            },this.callback);
+         },
+         'should escape and quote the values' : function(err,requests){
+            assert.isNull(err);
+            assert.deepEqual(JSON.parse(requests[0].body),{ 'delete' : { query : '(title_t:"Test title") AND (cat:"Home Garden") AND (price:[10 TO *])' } });
+         }
+      },
+      'by several ids in a dry run' : {
+         topic : function(ctx){
+            helpers.send(ctx,'dry',function(client,callback){
+               client.deleteByIDs(['sku-1','sku 2'],{ dryRun : true, uniqueKey : 'sku' },callback);
+            },this.callback);
+         },
+         'should count the documents matching instead of deleting them' : function(err,requests,res){
+            assert.isNull(err);
+            assert.equal(requests.length,1);
+            assert.equal(url.parse(requests[0].url,true).query.q,'sku:(sku\\-1 OR "sku 2")');
+            assert.equal(url.parse(requests[0].url,true).query.rows,'0');
+            assert.deepEqual(res,{ query : 'sku:(sku\\-1 OR "sku 2")', numFound : 3 });
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   },
+   'Deleting by a `Query` without clause' : {
+      topic : function(){
+         var callback = this.callback;
+         var client = solr.createClient({ port : 1, retry : false });
+         client.deleteByQuery(client.createQuery().rows(10)).then(null,function(err){
+            callback(null,err);
+         });
+      },
+      'should give a `TypeError` without sending the request' : function(err,error){
+         assert.instanceOf(error,TypeError);
+      }
+   },
+   'Deleting by a `Query` using other query parsers' : {
+      topic : function(){
+         var callback = this.callback;
+         var client = solr.createClient({ port : 1, retry : false });
+         var errors = [];
+         client.deleteByQuery(client.createQuery().q('laptop').edismax().qf({ title : 2 }),function(err){
+            errors.push(err);
+            client.deleteByQuery(client.createQuery().q('*:*').bq('cat:electronics^5'),function(err){
+               errors.push(err);
+               client.deleteByQuery(client.createQuery().parent('type:product','color:red'),function(err){
+                  errors.push(err);
+                  client.deleteByQuery(client.createQuery().set('q=laptop').set('defType=dismax'),function(err){
+                     errors.push(err);
+                     callback(null,errors);
+                  });
+               });
+            });
+         });
+      },
+      'should give a `TypeError` without sending the request' : function(err,errors){
+         assert.equal(errors.length,4);
+         errors.forEach(function(error){
+            assert.instanceOf(error,TypeError);
+         });
+         assert.equal(errors[0].message,'A query using defType=edismax, qf cannot be turned into a delete query, it would not delete the documents it finds');
+         assert.match(errors[1].message,/using bq /);
+         assert.match(errors[2].message,/using local parameters /);
+         assert.match(errors[3].message,/using defType=dismax /);
+      }
+   }
+}).export(module);
@@ -0,0 +1,149 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert'),
+   http = require('http'),
+   net = require('net');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: errors');
+
+var SOLR_ERROR = {
+   responseHeader : { status : 400, QTime : 1 },
+   error : {
+      metadata : ['error-class','org.apache.solr.common.SolrException','root-error-class','org.apache.solr.common.SolrException'],
+      msg : 'undefined field titl',
+      code : 400
+   }
+};
+
+suite.addBatch({
+   'A Solr server answering with errors' : {
+      topic : function(){
+         var callback = this.callback;
+         var server = http.createServer(function(req,res){
+            if(req.url.indexOf('q=bad') !== -1){
+               res.statusCode = 400;
+               res.setHeader('content-type','application/json');
+               return res.end(JSON.stringify(SOLR_ERROR));
+            }
+            if(req.url.indexOf('/update') !== -1){
+               res.statusCode = 401;
+               return res.end('<html><body><pre>Unauthorized request</pre></body></html>');
+            }
+            if(req.url.indexOf('/proxied/') !== -1){
+               res.setHeader('content-type','text/html');
+               return res.end('<html><body>Sign in to the proxy</body></html>');
+            }
+            if(req.url.indexOf('/missing/') !== -1){
+               res.statusCode = 404;
+               return res.end('<html><body><h2>HTTP ERROR 404</h2></body></html>');
+            }
+            res.statusCode = 500;
+            res.end(JSON.stringify({ error : { msg : 'java.lang.NullPointerException', trace : 'java.lang.NullPointerException\n\tat org.apache.solr', code : 500 } }));
+         });
+         server.listen(0,'127.0.0.1',function(){
+            callback(null,server);
+         });
+      },
+      'to a bad query' : {
+         topic : function(server){
+            helpers.createClient(server).search('q=bad',this.callback);
+         },
+         'should give a `SolrBadRequestError` with the details of the Solr error' : function(err,res){
+            assert.instanceOf(err,solr.SolrBadRequestError);
+            assert.instanceOf(err,solr.SolrError);
+            assert.equal(err.name,'SolrBadRequestError');
+            assert.equal(err.statusCode,400);
+            assert.equal(err.solrCode,400);
+            assert.equal(err.msg,'undefined field titl');
+            assert.isNull(err.trace);
+            assert.deepEqual(err.metadata,{
+               'error-class' : 'org.apache.solr.common.SolrException',
+               'root-error-class' : 'org.apache.solr.common.SolrException'
+            });
+            assert.equal(err.message,'HTTP status 400.Reason: undefined field titl');
+            assert.isNull(res);
+         },
+         'should tell which host and path failed' : function(err,res){
+            assert.match(err.host,/^127\.0\.0\.1:\d+$/);
+            assert.equal(err.path,'/solr/select?q=bad&wt=json');
+         }
+      },
+      'to an update without credentials' : {
+         topic : function(server){
+            helpers.createClient(server).deleteByID(1,this.callback);
+         },
+         'should give a `SolrUnauthorizedError`' : function(err,res){
+            assert.instanceOf(err,solr.SolrUnauthorizedError);
+            assert.equal(err.statusCode,401);
+            assert.equal(err.msg,'Unauthorized request');
+            assert.equal(err.path,'/solr/update?commit=false');
+         }
+      },
+      'to an unknown core' : {
+         topic : function(server){
+            helpers.createClient(server,{ core : 'missing' }).ping(this.callback);
+         },
+         'should give a `SolrNotFoundError`' : function(err,res){
+            assert.instanceOf(err,solr.SolrNotFoundError);
+            assert.equal(err.statusCode,404);
+         }
+      },
+      'through a proxy answering with an HTML page' : {
+         topic : function(server){
+            var callback = this.callback;
+            var client = helpers.createClient(server,{ core : 'proxied' });
+            client.search('q=*:*',function(err,res){
+               callback(null,{ err : err, pool : client.pool });
+            });
+         },
+         'should give a `SolrError` with the parse error as cause' : function(err,ctx){
+            assert.instanceOf(ctx.err,solr.SolrError);
+            assert.equal(ctx.err.statusCode,200);
+            assert.instanceOf(ctx.err.cause,SyntaxError);
+            assert.match(ctx.err.message,/^Invalid response from 127\.0\.0\.1:\d+: /);
+         },
+         'should not take the host out of the pool' : function(err,ctx){
+            assert.equal(ctx.pool.alive.length,1);
+            assert.deepEqual(ctx.pool.dead,[]);
+         }
+      },
+      'to a query crashing Solr' : {
+         topic : function(server){
+            helpers.createClient(server).search('q=*:*',this.callback);
+         },
+         'should give a `SolrServerError` with the trace' : function(err,res){
+            assert.instanceOf(err,solr.SolrServerError);
+            assert.equal(err.statusCode,500);
+            assert.equal(err.msg,'java.lang.NullPointerException');
+            assert.match(err.trace,/^java\.lang\.NullPointerException/);
+         }
+      },
+      teardown : function(server){
+         server.close();
+      }
+   },
+   'A Solr server refusing connections' : {
+      topic : function(){
+         var callback = this.callback;
+         var server = net.createServer();
+         server.listen(0,'127.0.0.1',function(){
+            var port = server.address().port;
+            server.close(function(){
+               solr.createClient({ host : '127.0.0.1', port : port, retry : false }).search('q=*:*',callback);
+            });
+         });
+      },
+      'should give a `SolrConnectionError`' : function(err,res){
+         assert.instanceOf(err,solr.SolrConnectionError);
+         assert.instanceOf(err,solr.SolrError);
+         assert.equal(err.code,'ECONNREFUSED');
+         assert.equal(err.cause.code,'ECONNREFUSED');
+         assert.isNull(err.statusCode);
+         assert.equal(err.path,'/solr/select?q=*:*&wt=json');
+      }
+   }
+}).export(module);
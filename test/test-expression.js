@@ -0,0 +1,130 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   Q = solr.Q,
+   vows = require('vows'),
+   assert = require('assert'),
+   url = require('url');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: query expressions');
+
+suite.addBatch({
+   'Escaping a value with `solr.escape()`' : {
+      topic : function(){
+         return solr.escape('C++ (2nd edition): "draft" && -old');
+      },
+      'should escape the special characters and the whitespaces' : function(value){
+         assert.equal(value,'C\\+\\+\\ \\(2nd\\ edition\\)\\:\\ \\"draft\\"\\ \\&\\&\\ \\-old');
+      }
+   },
+   'An expression' : {
+      'combining a boosted term and a negated range' : {
+         topic : function(){
+            return Q.and(Q.term('title','foo bar').boost(2),Q.not(Q.range('price',0,10))).toString();
+         },
+         'should compile to the Lucene syntax' : function(query){
+            assert.equal(query,'(title:"foo bar"^2 AND NOT price:[0 TO 10])');
+         }
+      },
+      'combining phrases, prefixes, wildcards and fuzzy terms' : {
+         topic : function(){
+            return Q.or([
+               Q.phrase('body','quick "brown" fox',3),
+               Q.prefix('name','C++'),
+               Q.wildcard('sku','ab-*?'),
+               Q.fuzzy(null,'roam',1),
+               'category:books'
+            ]).boost(1.5).toString();
+         },
+         'should escape the values but not the operators' : function(query){
+            assert.equal(query,'(body:"quick \\"brown\\" fox"~3 OR name:C\\+\\+* OR sku:ab\\-*? OR roam~1 OR category:books)^1.5');
+         }
+      },
+      'negating alone' : {
+         topic : function(){
+            return [
+               Q.not(Q.term('status','draft')).toString(),
+               Q.and(Q.not('a:1'),Q.not('b:2')).toString(),
+               Q.or(Q.term('a',1),Q.not(Q.term('b',2))).toString()
+            ];
+         },
+         'should match all the documents except the ones negated' : function(queries){
+            assert.equal(queries[0],'(*:* NOT status:draft)');
+            assert.equal(queries[1],'(*:* AND NOT a:1 AND NOT b:2)');
+            assert.equal(queries[2],'(a:1 OR (*:* NOT b:2))');
+         }
+      },
+      'with open and exclusive ranges of dates' : {
+         topic : function(){
+            return Q.range('last_update',new Date('2012-05-01T21:50:08.309Z'),null,{ excludeStart : true }).toString();
+         },
+         'should format the dates and use `*` for the open bound' : function(query){
+            assert.equal(query,'last_update:{2012\\-05\\-01T21\\:50\\:08.309Z TO *]');
+         }
+      },
+      'combining nothing' : {
+         topic : function(){
+            try{
+               return Q.or();
+            }catch(err){
+               return err;
+            }
+         },
+         'should throw a `TypeError`' : function(err){
+            assert.instanceOf(err,TypeError);
+         }
+      }
+   },
+   'A query with expressions' : {
+      topic : function(){
+         return solr.createClient().createQuery()
+            .q(Q.and(Q.term('title','foo & bar'),Q.all()))
+            .fq(Q.term('category','Home & Garden'))
+            .fq('in_stock:true')
+            .bq(Q.term('cat','electronics').boost(5))
+            .build();
+      },
+      'should encode them in `q`, `fq` and `bq`' : function(parameters){
+         assert.equal(parameters,[
+            'q=' + encodeURIComponent('(title:"foo & bar" AND *:*)'),
+            'fq=' + encodeURIComponent('category:"Home & Garden"'),
+            'fq=' + encodeURIComponent('in_stock:true'),
+            'bq=' + encodeURIComponent('cat:electronics^5')
+         ].join('&'));
+      }
+   },
+   'A Solr server receiving expressions' : {
+      topic : function(){
+         helpers.createServer(function(req,res,body){
+            res.end('{"responseHeader":{"status":0,"QTime":1},"response":{"numFound":0,"start":0,"docs":[]}}');
+         },this.callback);
+      },
+      'searched' : {
+         topic : function(ctx){
+            helpers.send(ctx,'search',function(client,callback){
+               client.search(client.createQuery().q(Q.or(Q.term('id','a:1'),Q.term('id','b/2'))),callback);
+            },this.callback);
+         },
+         'should send the escaped query' : function(err,requests){
+            assert.isNull(err);
+            assert.equal(url.parse(requests[0].url,true).query.q,'(id:a\\:1 OR id:b\\/2)');
+         }
+      },
+      'deleting by an expression' : {
+         topic : function(ctx){
+            helpers.send(ctx,'delete',function(client,callback){
+               client.deleteByQuery(Q.and(Q.term('type','draft'),Q.range('created',null,'NOW-1YEAR')),callback);
+            },this.callback);
+         },
+         'should send the compiled query' : function(err,requests){
+            assert.isNull(err);
+            assert.deepEqual(JSON.parse(requests[0].body),{ 'delete' : { query : '(type:draft AND created:[* TO NOW\\-1YEAR])' } });
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
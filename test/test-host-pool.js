@@ -0,0 +1,108 @@
+// Dependencies 
+var HostPool = require('./../lib/host-pool'),
+   vows = require('vows'),
+   assert = require('assert'),
+   EventEmitter = require('events').EventEmitter;
+
+// Suite Test
+
+var suite = vows.describe('Solr Client: host pool');
+
+suite.addBatch({
+   'A host pool' : {
+      'when a host fails' : {
+         topic : function(){
+            var hosts = ['127.0.0.1:8983','127.0.0.1:8984'];
+            var pool = new HostPool(hosts);
+            var events = [];
+            pool.on('hostDown',function(host){
+               events.push(host);
+            });
+            pool.markDead('127.0.0.1:8984');
+            pool.stopHealthCheck();
+            return { hosts : hosts, pool : pool, events : events };
+         },
+         'should move the host to the dead list' : function(topic){
+            assert.deepEqual(topic.pool.alive,['127.0.0.1:8983']);
+            assert.deepEqual(topic.pool.dead,['127.0.0.1:8984']);
+         },
+         'should emit `hostDown`' : function(topic){
+            assert.deepEqual(topic.events,['127.0.0.1:8984']);
+         },
+         'should not pick the dead host' : function(topic){
+            for(var i = 0; i < 10; i++){
+               assert.equal(topic.pool.getHost(),'127.0.0.1:8983');
+            }
+         },
+         'should not modify the list of hosts given' : function(topic){
+            assert.deepEqual(topic.hosts,['127.0.0.1:8983','127.0.0.1:8984']);
+         }
+      },
+      'when all hosts fail' : {
+         topic : function(){
+            var pool = new HostPool(['127.0.0.1:8983']);
+            pool.markDead('127.0.0.1:8983');
+            pool.stopHealthCheck();
+            return pool;
+         },
+         'should still pick one of the dead hosts' : function(pool){
+            assert.equal(pool.getHost(),'127.0.0.1:8983');
+         }
+      },
+      'when a dead host answers the ping' : {
+         topic : function(){
+            var promise = new EventEmitter();
+            var pinged = [];
+            var pool = new HostPool(['127.0.0.1:8983','127.0.0.1:8984'],{
+               ping : function(host,callback){
+                  pinged.push(host);
+                  callback(null);
+               }
+            });
+            pool.on('hostUp',function(host){
+               promise.emit('success',{ pool : pool, host : host, pinged : pinged });
+            });
+            pool.markDead('127.0.0.1:8984');
+            process.nextTick(function(){
+               pool.check();
+            });
+            return promise;
+         },
+         'should emit `hostUp`' : function(topic){
+            assert.equal(topic.host,'127.0.0.1:8984');
+            assert.deepEqual(topic.pinged,['127.0.0.1:8984']);
+         },
+         'should move the host back to the alive list' : function(topic){
+            assert.deepEqual(topic.pool.alive.sort(),['127.0.0.1:8983','127.0.0.1:8984']);
+            assert.deepEqual(topic.pool.dead,[]);
+         },
+         'should stop the health check' : function(topic){
+            assert.isNull(topic.pool.timer);
+         }
+      },
+      'when the ping of a dead host is still in flight' : {
+         topic : function(){
+            var pings = [];
+            var pool = new HostPool(['127.0.0.1:8983','127.0.0.1:8984'],{
+               ping : function(host,callback){
+                  pings.push(callback);
+               }
+            });
+            pool.markDead('127.0.0.1:8984');
+            pool.stopHealthCheck();
+            pool.check();
+            pool.check();
+            var pending = pings.length;
+            pings[0](new Error('timed out'));
+            pool.check();
+            return { pending : pending, pings : pings };
+         },
+         'should not ping it again' : function(topic){
+            assert.equal(topic.pending,1);
+         },
+         'should ping it again once the ping is done' : function(topic){
+            assert.equal(topic.pings.length,2);
+         }
+      }
+   }
+}).export(module);
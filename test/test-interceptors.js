@@ -0,0 +1,193 @@
+// Dependencies
+var helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: interceptors and events');
+
+suite.addBatch({
+   'A Solr server echoing requests' : {
+      topic : function(){
+         var callback = this.callback;
+         var flaky = 0;
+         helpers.createServer(function(req,res,body){
+            if(req.url.indexOf('flaky') !== -1 && ++flaky === 1){
+               res.statusCode = 503;
+               return res.end('{}');
+            }
+            if(req.url.indexOf('broken') !== -1){
+               res.statusCode = 400;
+               return res.end('{"error":{"msg":"undefined field"}}');
+            }
+            res.end(JSON.stringify({
+               responseHeader : { status : 0, QTime : 7 },
+               url : req.url,
+               method : req.method,
+               headers : req.headers,
+               body : body
+            }));
+         },function(err,ctx){
+            callback(err,ctx.server);
+         });
+      },
+      'with a request interceptor' : {
+         topic : function(server){
+            var client = helpers.createClient(server);
+            client.use(function(request){
+               request.params.debugQuery = 'true';
+               request.headers['X-Request-Id'] = 'abc';
+            });
+            client.use({
+               request : function(request,callback){
+                  setTimeout(function(){
+                     request.path = request.path.replace('select','browse');
+                     callback(null,request);
+                  },5);
+               }
+            });
+            client.search('q=*:*',this.callback);
+         },
+         'should send the rewritten request' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.url,'/solr/browse?q=*%3A*&wt=json&debugQuery=true');
+            assert.equal(res.headers['x-request-id'],'abc');
+         }
+      },
+      'with a request interceptor changing the body' : {
+         topic : function(server){
+            var client = helpers.createClient(server);
+            client.use(function(request){
+               return Promise.resolve({
+                  method : request.method,
+                  type : request.type,
+                  path : request.path,
+                  params : request.params,
+                  headers : request.headers,
+                  body : '{"delete":{"id":"2"}}'
+               });
+            });
+            client.deleteByID(1,this.callback);
+         },
+         'should send the new body' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.method,'POST');
+            assert.equal(res.body,'{"delete":{"id":"2"}}');
+            assert.match(res.headers['content-type'],/^application\/json/);
+         }
+      },
+      'with a request interceptor failing' : {
+         topic : function(server){
+            var client = helpers.createClient(server);
+            client.use(function(){
+               throw new Error('Not allowed');
+            });
+            client.search('q=*:*',this.callback);
+         },
+         'should give its error' : function(err,res){
+            assert.equal(err.message,'Not allowed');
+         }
+      },
+      'with a response interceptor failing' : {
+         topic : function(server){
+            var callback = this.callback;
+            var client = helpers.createClient(server);
+            var seen = [];
+            client.use({
+               response : function(){
+                  throw new Error('Not readable');
+               }
+            });
+            client.use({
+               error : function(err){
+                  seen.push(err.message);
+               }
+            });
+            client.ping().then(null,function(err){
+               callback(null,{ err : err, seen : seen });
+            });
+         },
+         'should reject with its error' : function(ctx){
+            assert.equal(ctx.err.message,'Not readable');
+         },
+         'should give its error to the error interceptors registered after it' : function(ctx){
+            assert.deepEqual(ctx.seen,['Not readable']);
+         }
+      },
+      'with response and error interceptors' : {
+         topic : function(server){
+            var callback = this.callback;
+            var client = helpers.createClient(server);
+            var seen = [];
+            client.use({
+               response : function(data,request){
+                  seen.push(request.path);
+                  return { QTime : data.responseHeader.QTime };
+               },
+               error : function(err,request){
+                  seen.push(err.statusCode);
+               }
+            });
+            client.search('q=*:*',function(err,res){
+               client.search('q=broken',function(err){
+                  callback(null,{ res : res, err : err, seen : seen });
+               });
+            });
+         },
+         'should give the response returned by the interceptor' : function(ctx){
+            assert.deepEqual(ctx.res,{ QTime : 7 });
+         },
+         'should let the interceptors see the response and the error' : function(ctx){
+            assert.deepEqual(ctx.seen,['/solr/select?q=*:*&wt=json',400]);
+            assert.equal(ctx.err.statusCode,400);
+         }
+      },
+      'listening to the events of a client' : {
+         topic : function(server){
+            var callback = this.callback;
+            var client = helpers.createClient(server,{ core : 'products', retry : { minDelay : 1, maxDelay : 1 } });
+            var events = [];
+            ['request','response'].forEach(function(name){
+               client.on(name,function(event){
+                  events.push({ name : name, event : event });
+               });
+            });
+            ['retry','error'].forEach(function(name){
+               client.on(name,function(err,event){
+                  events.push({ name : name, err : err, event : event });
+               });
+            });
+            client.search('q=flaky',function(){
+               client.search(client.createQuery().q('broken').core('orders'),function(){
+                  callback(null,events);
+               });
+            });
+         },
+         'should emit `request` and `retry` events' : function(events){
+            assert.deepEqual(events.map(function(item){ return item.name; }),['request','retry','request','response','request','error']);
+            assert.equal(events[0].event.core,'products');
+            assert.equal(events[0].event.method,'GET');
+            assert.equal(events[0].event.attempt,1);
+            assert.equal(events[1].err.statusCode,503);
+            assert.equal(events[1].event.delay,1);
+            assert.equal(events[2].event.attempt,2);
+         },
+         'should give the timing, the host and the QTime in the `response` event' : function(events){
+            var event = events[3].event;
+            assert.equal(event.host,events[2].event.host);
+            assert.equal(event.qtime,7);
+            assert.equal(event.statusCode,200);
+            assert.isNumber(event.duration);
+         },
+         'should give the error in the `error` event' : function(events){
+            assert.equal(events[5].err.statusCode,400);
+            assert.equal(events[5].event.core,'orders');
+            assert.equal(events[5].event.path,'/solr/orders/select?q=broken&wt=json');
+         }
+      },
+      teardown : function(server){
+         server.close();
+      }
+   }
+}).export(module);
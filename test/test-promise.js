@@ -0,0 +1,79 @@
+// Dependencies 
+var nock = require('nock'), 
+   solr = require('./../main'),
+   vows = require('vows'),
+   assert = require('assert'),
+   SolrError = require('./../lib/error/solr-error'),
+   mocks = require('./mocks'),
+   fs = require('fs');
+
+// Load configuration file
+var config = JSON.parse(fs.readFileSync(__dirname + '/config.json'));
+
+if(config.mocked){
+   //nock.recorder.rec();
+   mocks.promise(nock);
+}
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: promises');
+
+suite.addBatch({
+   'Calling a method of the client without callback' : {
+      'ping()' : {
+         topic : function(){
+            var client = solr.createClient();
+            resolve(client.ping(),this.callback);
+         },
+         'should resolve the promise with the JSON response' : function(err,res){
+            assertCorrectResponse(err,res);
+         }
+      },
+      'add()' : {
+         topic : function(){
+            var client = solr.createClient();
+            resolve(client.add({ id : 1234567896, title_t : 'Test title' }),this.callback);
+         },
+         'should resolve the promise with the JSON response' : function(err,res){
+            assertCorrectResponse(err,res);
+         }
+      },
+      'commit()' : {
+         topic : function(){
+            var client = solr.createClient();
+            resolve(client.commit(),this.callback);
+         },
+         'should resolve the promise with the JSON response' : function(err,res){
+            assertCorrectResponse(err,res);
+         }
+      },
+      'search() using unknown fields' : {
+         topic : function(){
+            var client = solr.createClient();
+            var query = client.createQuery().q({titl : 'laptop'});
+            resolve(client.search(query),this.callback);
+         },
+         'should reject the promise with a `SolrError`' : function(err,res){
+            assert.instanceOf(err,SolrError);
+            assert.match(err.message,/^HTTP status 400\.Reason:[\s\S]+/);
+         }
+      }
+   }
+}).export(module);
+
+// Macros
+
+function resolve(promise,callback){
+   promise.then(function(res){
+      callback(null,res);
+   },function(err){
+      callback(err,null);
+   });
+}
+
+function assertCorrectResponse(err,data){
+   assert.isNull(err);
+   assert.isObject(data);
+   assert.equal(data.responseHeader.status,0);
+}
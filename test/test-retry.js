@@ -0,0 +1,89 @@
+// Dependencies 
+var RetryPolicy = require('./../lib/retry'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client: retry policy');
+
+suite.addBatch({
+   'A retry policy' : {
+      'with the default options' : {
+         topic : function(){
+            return new RetryPolicy();
+         },
+         'should retry a refused connection' : function(policy){
+            assert.isTrue(policy.shouldRetry(socketError('ECONNREFUSED'),1,true));
+         },
+         'should retry a timed out request' : function(policy){
+            assert.isTrue(policy.shouldRetry(socketError('ETIMEDOUT'),1,true));
+         },
+         'should retry a response with the status code 503' : function(policy){
+            assert.isTrue(policy.shouldRetry(httpError(503),1,true));
+         },
+         'should not retry a response with the status code 400' : function(policy){
+            assert.isFalse(policy.shouldRetry(httpError(400),1,true));
+         },
+         'should not retry a non-idempotent command' : function(policy){
+            assert.isFalse(policy.shouldRetry(socketError('ECONNREFUSED'),1,false));
+         },
+         'should stop after 3 attempts' : function(policy){
+            assert.isTrue(policy.shouldRetry(socketError('ECONNREFUSED'),2,true));
+            assert.isFalse(policy.shouldRetry(socketError('ECONNREFUSED'),3,true));
+         },
+         'should wait between the half and the whole of an exponential delay' : function(policy){
+            for(var attempt = 1; attempt <= 4; attempt++){
+               var delay = policy.delay(attempt);
+               var max = 100 * Math.pow(2, attempt - 1);
+               assert.isTrue(delay >= max / 2 && delay <= max);
+            }
+         },
+         'should not wait more than `maxDelay`' : function(policy){
+            assert.isTrue(policy.delay(20) <= 5000);
+         }
+      },
+      'with custom options' : {
+         topic : function(){
+            return new RetryPolicy({
+               maxAttempts : 5,
+               statusCodes : [502,503],
+               errorCodes : ['ECONNREFUSED'],
+               nonIdempotent : true
+            });
+         },
+         'should retry the listed status codes' : function(policy){
+            assert.isTrue(policy.shouldRetry(httpError(502),4,true));
+            assert.isFalse(policy.shouldRetry(httpError(502),5,true));
+         },
+         'should retry only the listed socket errors' : function(policy){
+            assert.isFalse(policy.shouldRetry(socketError('ECONNRESET'),1,true));
+         },
+         'should retry a non-idempotent command' : function(policy){
+            assert.isTrue(policy.shouldRetry(socketError('ECONNREFUSED'),1,false));
+         }
+      },
+      'disabled' : {
+         topic : function(){
+            return new RetryPolicy(false);
+         },
+         'should never retry' : function(policy){
+            assert.isFalse(policy.shouldRetry(socketError('ECONNREFUSED'),1,true));
+         }
+      }
+   }
+}).export(module);
+
+// Macros
+
+function socketError(code){
+   var err = new Error(code);
+   err.code = code;
+   return err;
+}
+
+function httpError(statusCode){
+   var err = new Error('HTTP status ' + statusCode);
+   err.statusCode = statusCode;
+   return err;
+}
@@ -0,0 +1,80 @@
+// Dependencies 
+var helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert'),
+   http = require('http'),
+   EventEmitter = require('events').EventEmitter,
+   SolrError = require('./../lib/error/solr-error'),
+   SolrTimeoutError = require('./../lib/error/solr-timeout-error');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: timeouts and cancellation');
+
+suite.addBatch({
+   'A request' : {
+      topic : function(){
+         var callback = this.callback;
+         var server = http.createServer(function(req,res){
+            setTimeout(function(){
+               res.end('{"responseHeader":{"status":0,"QTime":200}}');
+            },200);
+         });
+         server.listen(0,'127.0.0.1',function(){
+            callback(null,server);
+         });
+      },
+      'taking longer than the response timeout' : {
+         topic : function(server){
+            var client = helpers.createClient(server,{ responseTimeout : 50 });
+            client.search('q=*:*',this.callback);
+         },
+         'should give a `SolrTimeoutError`' : function(err,res){
+            assert.instanceOf(err,SolrTimeoutError);
+            assert.instanceOf(err,SolrError);
+            assert.equal(err.name,'SolrTimeoutError');
+            assert.equal(err.code,'ETIMEDOUT');
+            assert.equal(err.phase,'response');
+            assert.equal(err.timeout,50);
+            assert.isNull(res);
+         }
+      },
+      'with a response timeout given for this call only' : {
+         topic : function(server){
+            var client = helpers.createClient(server,{ responseTimeout : 50 });
+            client.ping({ responseTimeout : 1000 },this.callback);
+         },
+         'should wait for the response' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.responseHeader.status,0);
+         }
+      },
+      'pinged by the health check' : {
+         topic : function(server){
+            var client = helpers.createClient(server,{ healthCheckTimeout : 50 });
+            client.transport.ping('127.0.0.1:' + server.address().port,this.callback);
+         },
+         'should give up after `healthCheckTimeout`' : function(err,res){
+            assert.instanceOf(err,SolrTimeoutError);
+            assert.equal(err.timeout,50);
+         }
+      },
+      'cancelled with a signal' : {
+         topic : function(server){
+            var client = helpers.createClient(server);
+            var signal = new EventEmitter();
+            client.deleteByID(1,{ signal : signal },this.callback);
+            setTimeout(function(){
+               signal.emit('abort');
+            },20);
+         },
+         'should give an `AbortError`' : function(err,res){
+            assert.equal(err.name,'AbortError');
+            assert.isNull(res);
+         }
+      },
+      teardown : function(server){
+         server.close();
+      }
+   }
+}).export(module);
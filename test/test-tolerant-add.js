@@ -0,0 +1,102 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: tolerant batch add');
+
+var DOCS = [
+   { id : 1, title_t : 'One' },
+   { id : 2, unknownfield1 : 'Two' },
+   { id : 3, title_t : 'Three' },
+   { id : 4, title_t : 'Four' },
+   { id : 5, unknownfield2 : 'Five' }
+];
+
+suite.addBatch({
+   'A Solr server rejecting documents with unknown fields' : {
+      topic : function(){
+         helpers.createServer(function(req,res,body){
+            if(req.url.indexOf('/crash/') !== -1){
+               res.statusCode = 503;
+               return res.end('{}');
+            }
+            var docs = JSON.parse('[' + body.slice(1,-1).replace(/"add":/g,'') + ']').map(function(add){
+               return add.doc;
+            });
+            var bad = docs.filter(function(doc){
+               return Object.keys(doc).some(function(field){
+                  return /^unknown/.test(field);
+               });
+            });
+            if(req.url.indexOf('update.chain=tolerant') !== -1){
+               return res.end(JSON.stringify({
+                  responseHeader : {
+                     errors : bad.map(function(doc){
+                        return { type : 'ADD', id : String(doc.id), message : 'ERROR: [doc=' + doc.id + '] unknown field' };
+                     }),
+                     maxErrors : -1,
+                     status : 0,
+                     QTime : 1
+                  }
+               }));
+            }
+            if(bad.length){
+               res.statusCode = 400;
+               return res.end(JSON.stringify({ error : { msg : 'ERROR: [doc=' + bad[0].id + '] unknown field', code : 400 } }));
+            }
+            res.end('{"responseHeader":{"status":0,"QTime":1}}');
+         },this.callback);
+      },
+      'with a `TolerantUpdateProcessor`' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            helpers.send(ctx,'chain',function(client,callback){
+               client.add(DOCS,{ tolerant : true, updateChain : 'tolerant' },callback);
+            },function(err,requests,result){
+               callback(err,{ result : result, requests : requests });
+            });
+         },
+         'should send a single request with `maxErrors`' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.requests.length,1);
+            assert.equal(ctx.requests[0].url,'/solr/chain/update?commit=false&maxErrors=-1&update.chain=tolerant');
+         },
+         'should report the documents added and the ones rejected' : function(err,ctx){
+            assert.deepEqual(ctx.result.succeeded,[1,3,4]);
+            assert.deepEqual(ctx.result.failed.map(function(failure){ return failure.id; }),[2,5]);
+            assert.instanceOf(ctx.result.failed[0].error,solr.SolrBadRequestError);
+            assert.equal(ctx.result.failed[0].error.msg,'ERROR: [doc=2] unknown field');
+            assert.deepEqual(ctx.result.failed[1].doc,DOCS[4]);
+         }
+      },
+      'without `TolerantUpdateProcessor`' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            helpers.createClient(ctx.server,{ core : 'plain' }).add(DOCS,{ tolerant : true },callback);
+         },
+         'should split the batch to find the documents rejected' : function(err,result){
+            assert.isNull(err);
+            assert.deepEqual(result.succeeded,[1,3,4]);
+            assert.deepEqual(result.failed.map(function(failure){ return failure.id; }),[2,5]);
+            assert.equal(result.failed[1].error.statusCode,400);
+            assert.equal(result.failed[1].error.msg,'ERROR: [doc=5] unknown field');
+         }
+      },
+      'failing for another reason' : {
+         topic : function(ctx){
+            helpers.createClient(ctx.server,{ core : 'crash' }).add(DOCS,{ tolerant : true },this.callback);
+         },
+         'should give the error' : function(err,result){
+            assert.instanceOf(err,solr.SolrServerError);
+            assert.isNull(result);
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
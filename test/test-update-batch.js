@@ -0,0 +1,110 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: update batches');
+
+suite.addBatch({
+   'An update batch' : {
+      topic : function(){
+         return solr.createClient().updateBatch()
+            .deleteById(['sku-1',2])
+            .deleteByQuery('title_t:"Test \\"quoted\\" title"')
+            .add([{ id : 3, title_t : 'Line\nbreak', last_update : new Date('2012-05-01T21:50:08.309Z') }],{ commitWithin : 1000, overwrite : false })
+            .add({ id : 4, _version_ : '1634567890123456789' })
+            .commit({ softCommit : true })
+            .build();
+      },
+      'should write the commands in order with duplicate keys' : function(body){
+         assert.equal(body,'{' + [
+            '"delete":{"id":"sku-1"}',
+            '"delete":{"id":"2"}',
+            '"delete":{"query":"title_t:\\"Test \\\\\\"quoted\\\\\\" title\\""}',
+            '"add":{"doc":{"id":3,"title_t":"Line\\nbreak","last_update":"2012-05-01T21:50:08.309Z"},"commitWithin":1000,"overwrite":false}',
+            '"add":{"doc":{"id":4,"_version_":1634567890123456789}}',
+            '"commit":{"softCommit":true}'
+         ].join(',') + '}');
+      }
+   },
+   'An update batch deleting by an expression' : {
+      topic : function(){
+         var Q = solr.Q;
+         return solr.createClient().updateBatch()
+            .deleteByQuery(Q.and(Q.term('a','b c'),Q.not(Q.term('d','e'))))
+            .build();
+      },
+      'should write the compiled query' : function(body){
+         assert.deepEqual(JSON.parse(body),{ 'delete' : { query : '(a:"b c" AND NOT d:e)' } });
+      }
+   },
+   'An update batch deleting by a `Query`' : {
+      topic : function(){
+         var client = solr.createClient();
+         return client.updateBatch()
+            .deleteByQuery(client.createQuery().q({ title_t : 'Test title' }).matchFilter('cat','Home Garden'))
+            .build();
+      },
+      'should write the clauses of the query' : function(body){
+         assert.deepEqual(JSON.parse(body),{ 'delete' : { query : '(title_t:"Test title") AND (cat:"Home Garden")' } });
+      }
+   },
+   'An update batch deleting by a `Query` using another query parser' : {
+      topic : function(){
+         var callback = this.callback;
+         var client = solr.createClient({ port : 1, retry : false });
+         client.updateBatch()
+            .deleteByQuery(client.createQuery().q('laptop').edismax().qf({ title : 2 }))
+            .send(function(err){
+               callback(null,err);
+            });
+      },
+      'should give a `TypeError` without sending the request' : function(err,error){
+         assert.instanceOf(error,TypeError);
+         assert.match(error.message,/^A query using defType=edismax, qf /);
+      }
+   },
+   'A Solr server receiving an update batch' : {
+      topic : function(){
+         helpers.createServer(this.callback);
+      },
+      'sent' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var client = helpers.createClient(ctx.server,{ core : 'batch' });
+            client.updateBatch().deleteById('1').add({ id : 1 }).commit().send(function(err,res){
+               callback(err,{ res : res, request : ctx.requests[0] });
+            });
+         },
+         'should send all the commands in a single request' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.res.responseHeader.status,0);
+            assert.equal(ctx.request.url,'/solr/batch/update?commit=false');
+            assert.match(ctx.request.headers['content-type'],/^application\/json/);
+            assert.equal(ctx.request.body,'{"delete":{"id":"1"},"add":{"doc":{"id":1}},"commit":{}}');
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   },
+   'An update batch with options not valid' : {
+      topic : function(){
+         var callback = this.callback;
+         solr.createClient({ port : 1, retry : false }).updateBatch()
+            .add({ id : 1 },{ commitWithin : 'soon' })
+            .commit({ maxSegments : 2, softCommit : 1 })
+            .send()
+            .then(null,function(err){
+               callback(null,err);
+            });
+      },
+      'should give the first `TypeError` without sending the request' : function(err,error){
+         assert.instanceOf(error,TypeError);
+         assert.equal(error.message,'Invalid option "commitWithin": "soon" is not a non-negative integer');
+      }
+   }
+}).export(module);
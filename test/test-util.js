@@ -41,6 +41,20 @@ suite.addBatch({
                assert.equal(typeof doc.date1, "string");
             }
          },
+         'when child documents are used' : {
+            topic : function() {
+               return format.dateISOify({
+                  id:    1,
+                  _childDocuments_: [
+                     { id: 2, date1: new Date('2012-05-01T21:50:08.309Z'), reviews: [{ id: 3, dates: [new Date('2012-05-02T21:50:08.309Z')] }] }
+                  ]
+               });
+            },
+            'it should replace the date objects at every depth' : function(doc) {
+               assert.equal(doc._childDocuments_[0].date1, '2012-05-01T21:50:08.309Z');
+               assert.equal(doc._childDocuments_[0].reviews[0].dates[0], '2012-05-02T21:50:08.309Z');
+            }
+         },
          'when a date object itself is used' : {
             topic : function() {
                return format.dateISOify(new Date());
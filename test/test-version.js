@@ -0,0 +1,177 @@
+// Dependencies
+var solr = require('./../main'),
+   helpers = require('./helpers'),
+   vows = require('vows'),
+   assert = require('assert');
+
+// Suite Test
+
+var suite = vows.describe('Solr Client API: optimistic concurrency');
+
+suite.addBatch({
+   'A Solr server checking the versions of the documents' : {
+      topic : function(){
+         createSolr(this.callback);
+      },
+      'adding documents that must not exist' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            helpers.createClient(ctx.server,{ core : 'add' }).add([{ id : 1 },{ id : 2, _version_ : 1 }],{ version : false },function(err){
+               callback(err,find(ctx.state,'/add/'));
+            });
+         },
+         'should send `_version_` with each document' : function(err,request){
+            assert.isNull(err);
+            assert.equal(request.body,'{"add":{"doc":{"id":1,"_version_":-1}},"add":{"doc":{"id":2,"_version_":1}}}');
+         }
+      },
+      'deleting a document with its exact version' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            helpers.createClient(ctx.server,{ core : 'delete' }).deleteByID('sku-42',{ version : '1634567890123456789' },function(err){
+               callback(err,find(ctx.state,'/delete/'));
+            });
+         },
+         'should send the version without losing digits' : function(err,request){
+            assert.isNull(err);
+            assert.equal(request.body,'{"delete":{"id":"sku-42","_version_":1634567890123456789}}');
+         }
+      },
+      'changing a document with an atomic update' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var updates = [{ id : 'sku-42', operations : { stock : { inc : -1 } }, version : true }];
+            helpers.createClient(ctx.server,{ core : 'atomic' }).atomicUpdate(updates,function(err){
+               callback(err,find(ctx.state,'/atomic/'));
+            });
+         },
+         'should send the version expected' : function(err,request){
+            assert.isNull(err);
+            assert.equal(request.body,'{"add":{"doc":{"id":"sku-42","stock":{"inc":-1},"_version_":1}}}');
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).addBatch({
+   'A Solr server with concurrent writers' : {
+      topic : function(){
+         createSolr(this.callback);
+      },
+      'updated with retries' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            var seen = [];
+            helpers.createClient(ctx.server).updateWithRetry('sku-42',function(doc){
+               seen.push(doc.stock);
+               doc.stock = doc.stock - 1;
+               return doc;
+            },function(err,res){
+               callback(err,{ res : res, seen : seen, requests : ctx.state.requests.slice() });
+            });
+         },
+         'should read and change the document again after a conflict' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.res.responseHeader.status,0);
+            assert.deepEqual(ctx.seen,[10,3]);
+            assert.deepEqual(ctx.requests.map(function(request){ return request.url.split('?')[0]; }),['/solr/get','/solr/update','/solr/get','/solr/update']);
+         },
+         'should send the exact version read' : function(err,ctx){
+            assert.equal(ctx.requests[1].body,'{"add":{"doc":{"id":"sku-42","stock":9,"_version_":1634567890123456789}}}');
+            assert.equal(ctx.requests[3].body,'{"add":{"doc":{"id":"sku-42","stock":2,"_version_":1634567890123456999}}}');
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).addBatch({
+   'A Solr server always changing the documents first' : {
+      topic : function(){
+         createSolr(this.callback);
+      },
+      'updating a document not indexed yet' : {
+         topic : function(ctx){
+            helpers.createClient(ctx.server).updateWithRetry('missing',function(doc,callback){
+               callback(null,{ id : 'missing', stock : doc === null ? 1 : 0 });
+            },this.callback);
+         },
+         'should add it if it still does not exist' : function(err,res){
+            assert.isNull(err);
+            assert.equal(res.responseHeader.status,0);
+         }
+      },
+      'changing a document in place' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            helpers.createClient(ctx.server,{ core : 'inplace' }).updateWithRetry('sku-42',function(doc){
+               doc.stock = 0;
+            }).then(function(res){
+               callback(null,{ res : res, request : find(ctx.state,'/inplace/update') });
+            },callback);
+         },
+         'should add the document changed' : function(err,ctx){
+            assert.isNull(err);
+            assert.equal(ctx.res.responseHeader.status,0);
+            assert.match(ctx.request.body,/^\{"add":\{"doc":\{"id":"sku-42","stock":0,"_version_":\d+\}\}\}$/);
+         }
+      },
+      'updating a document with too many conflicts' : {
+         topic : function(ctx){
+            var callback = this.callback;
+            helpers.createClient(ctx.server,{ core : 'conflict' }).updateWithRetry('sku-42',function(doc){
+               return doc;
+            },{ retries : 2 }).then(null,function(err){
+               callback(null,err);
+            });
+         },
+         'should give the `SolrVersionConflictError`' : function(err,error){
+            assert.instanceOf(error,solr.SolrVersionConflictError);
+            assert.instanceOf(error,solr.SolrError);
+            assert.equal(error.name,'SolrVersionConflictError');
+            assert.equal(error.statusCode,409);
+            assert.equal(error.id,'sku-42');
+            assert.equal(error.expectedVersion,'1634567890123456999');
+            assert.equal(error.actualVersion,'1634567890123456999');
+         }
+      },
+      teardown : function(ctx){
+         ctx.server.close();
+      }
+   }
+}).export(module);
+
+// Macros
+
+function find(state,core){
+   return state.requests.filter(function(request){
+      return request.url.indexOf(core) !== -1;
+   })[0];
+}
+
+function createSolr(callback){
+   var state = { version : '1634567890123456789', stock : 10, conflicts : 1 };
+   helpers.createServer(function(req,res,body){
+      if(req.url.indexOf('/get?id=missing') !== -1){
+         return res.end('{"doc":null}');
+      }
+      if(req.url.indexOf('/get?') !== -1){
+         return res.end('{"doc":{"id":"sku-42","stock":' + state.stock + ',"_version_":' + state.version + '}}');
+      }
+      var match = body.match(/"_version_":(-?\d+)/);
+      var expected = match && match[1];
+      if(req.url.indexOf('/conflict/') !== -1 || (req.url.indexOf('/solr/update') === 0 && state.conflicts > 0 && expected !== '-1')){
+         // Another writer changes the document first
+         state.conflicts--;
+         state.stock = 3;
+         state.version = '1634567890123456999';
+         res.statusCode = 409;
+         return res.end(JSON.stringify({ error : { msg : 'version conflict for sku-42 expected=' + expected + ' actual=' + state.version, code : 409 } }));
+      }
+      res.end('{"responseHeader":{"status":0,"QTime":1}}');
+   },function(err,ctx){
+      state.requests = ctx.requests;
+      callback(err,{ server : ctx.server, state : state });
+   });
+}